@@ -2,18 +2,206 @@
 import process from "node:process";
 import { promisify } from "node:util";
 import { exec, execFile } from "node:child_process";
+import { randomUUID } from "node:crypto";
 import { mkdir, readFile, writeFile, rm, readdir } from "node:fs/promises";
 import {
   createWriteStream,
   existsSync,
+  mkdirSync,
+  readdirSync,
   readFileSync,
+  renameSync,
   writeFileSync,
 } from "node:fs";
-import knownMismatches from "./knownMismatches.js";
-import { parsePatch } from "diff";
+import {
+  checkAcceptedDiff,
+  explainChanges,
+  wholeVersionRuleFor,
+} from "./mismatchRules.js";
 import { topPackages } from "./topPackages.js";
+import { comparePackageJson } from "./packageJsonDiff.js";
+import { recipeFor } from "./recipes.js";
+import { chooseNodeVersion, fetchNodeVersionFiles } from "./nodeVersions.js";
+import { DEFAULT_REGISTRY_URL, RegistryClient } from "./registry.js";
+import { startFixtureRegistry } from "./fixtureRegistry.js";
+import { loadRegistryKeys, verifyTarball } from "./integrity.js";
+import { compareProvenance, provenanceClaims } from "./provenance.js";
+import { classifyCodeChange } from "./codeDiff.js";
+import { diffMinified } from "./unminify.js";
+import { scanChanges } from "./riskScan.js";
+import { readTarball, writeTarball } from "./tarball.js";
+import { diffManifest } from "./contentDiff.js";
+import { diagnosePackaging } from "./packagingDiagnosis.js";
+import {
+  ALL_VERSIONS,
+  compareResultVersions,
+  parsePackageSpec,
+  resolveVersions,
+} from "./versions.js";
+
+// Progress of the current run, saved as we go so that an interrupted run can
+// be picked up where it left off with `./audit --resume`:
+// - args: the arguments the run was started with, minus any
+//         --registry-token (which is a secret, so has to be passed again, or
+//         via REGISTRY_TOKEN, when resuming)
+// - startTime: when it was started
+// - completed: "<package>@<version>" for each version audit it's finished
+// - finishTime: when it finished, if it did
+const RUN_STATE_PATH = `${import.meta.dirname}/audits/runState.json`;
+
+function saveRunState() {
+  mkdirSync(`${import.meta.dirname}/audits`, { recursive: true });
+  // Written to a temporary file first so that being killed mid-write can't
+  // leave us with a corrupt state file:
+  writeFileSync(`${RUN_STATE_PATH}.tmp`, JSON.stringify(runState));
+  renameSync(`${RUN_STATE_PATH}.tmp`, RUN_STATE_PATH);
+}
+
+function isRegistryTokenArg(arg) {
+  return arg.startsWith("--registry-token=") || arg == "--registry-token";
+}
+
+const previousRunState = existsSync(RUN_STATE_PATH)
+  ? JSON.parse(readFileSync(RUN_STATE_PATH).toString())
+  : null;
+const tokenArgs = process.argv.slice(2).filter(isRegistryTokenArg);
+const otherArgs = process.argv
+  .slice(2)
+  .filter((arg) => !isRegistryTokenArg(arg));
+let runState;
+if (otherArgs[0] == "--resume") {
+  if (otherArgs.length > 1) {
+    console.error(
+      "--resume can't be combined with other arguments, except --registry-token",
+    );
+    process.exit(1);
+  }
+  if (!previousRunState || previousRunState.finishTime) {
+    console.error("There's no interrupted run to resume");
+    process.exit(1);
+  }
+  runState = previousRunState;
+  console.log(
+    `Resuming run started at ${runState.startTime} with arguments:`,
+    runState.args,
+  );
+} else {
+  if (previousRunState && !previousRunState.finishTime) {
+    console.warn(
+      `Abandoning the interrupted run started at ${previousRunState.startTime}.`,
+      "(Use --resume instead to carry on with it.)",
+    );
+  }
+  runState = {
+    args: otherArgs,
+    startTime: new Date().toISOString(),
+    completed: [],
+  };
+}
+
+const args = [...runState.args, ...tokenArgs];
+
+// Options, passed like --name or --name=value:
+// --all-versions: audit every version the registry knows about instead of
+//                 just the latest
+// --registry=<url>: registry to fetch packuments and tarballs from, e.g. an
+//                   internal Verdaccio or Artifactory mirror
+// --registry-token=<token>: auth token for that registry (can also be passed
+//                           via the REGISTRY_TOKEN environment variable)
+// --double-build: build each version twice, to spot files that differ
+//                 between builds because the build is nondeterministic
+// --force: re-audit versions even if they've passed before (by matching, or
+//          only mismatching in known benign ways)
+// --resume: carry on with an interrupted run, with the same arguments (so
+//           can't be combined with any others, except --registry-token,
+//           which isn't saved)
+// --registry-keys=<file>: the registry's public signing keys, in the format
+//                         served at https://registry.npmjs.org/-/npm/v1/keys,
+//                         for verifying tarball signatures (which are skipped
+//                         otherwise)
+// --offline=<fixtureDir>: serve packuments, tarballs and attestations from a
+//                         fixture directory instead of a real registry (see
+//                         fixtureRegistry.js), and don't fetch Node version
+//                         hints from GitHub. That only covers what audit.js
+//                         itself fetches: builds still clone the source and
+//                         install dependencies over the network.
+// --build-timeout=<minutes>: wall-clock time limit for each build, including
+//                            installing dependencies (default 30)
+// --build-memory=<size>: memory limit for build containers, in Docker's
+//                        format, e.g. 8g (default 4g)
+// --build-cpus=<n>: CPU limit for build containers (default 2)
+// --build-pids=<n>: process limit for build containers (default 4096)
+// --build-disk=<size>: disk limit for build containers' own writable layer,
+//                      e.g. 20g. That doesn't cover the bind-mounted work
+//                      directory, where the clone, dependencies, package
+//                      manager caches and build output go, so mostly just
+//                      limits what builds write to /tmp. Only works with
+//                      Docker storage drivers that support the `size`
+//                      storage option, so is off by default.
+// --code-diff: compare changed JS, TS and JSON files ignoring comments and
+//              formatting, classifying each change as cosmetic or
+//              behavioural, and treating cosmetic ones as benign
+// --unminify: diff minified JS files again after pretty-printing them, and
+//             use any source maps to find which original source files the
+//             differences are in
+const KNOWN_OPTIONS = [
+  "all-versions",
+  "double-build",
+  "force",
+  "registry",
+  "registry-token",
+  "registry-keys",
+  "offline",
+  "build-timeout",
+  "build-memory",
+  "build-cpus",
+  "build-pids",
+  "build-disk",
+  "code-diff",
+  "unminify",
+];
+const options = {};
+
+// Package names and error categories (lowercased), plus any version selectors
+// given for specific packages, like `lodash@4.17.20` or `react@>=18` (keyed by
+// the package name exactly as given, since names are case-sensitive):
+const whatToAudit = [];
+const versionSelectors = {};
+for (const arg of args) {
+  if (arg.startsWith("--")) {
+    const [name, value = true] = arg.slice(2).split(/=(.*)/s);
+    if (!KNOWN_OPTIONS.includes(name)) {
+      console.error("Unrecognised option", arg);
+      process.exit(1);
+    }
+    options[name] = value;
+    continue;
+  }
+  const spec = parsePackageSpec(arg);
+  if (spec) {
+    whatToAudit.push(spec.packageName.toLowerCase());
+    versionSelectors[spec.packageName] ??= [];
+    versionSelectors[spec.packageName].push(spec.selector);
+  } else {
+    whatToAudit.push(arg.toLowerCase());
+  }
+}
 
-const whatToAudit = process.argv.slice(2).map((arg) => arg.toLowerCase());
+const auditAllVersions = Boolean(options["all-versions"]);
+
+// Limits that stop one runaway build from hogging the machine (or a worker)
+// forever:
+const buildLimits = {
+  timeoutMs: Number(options["build-timeout"] || 30) * 60 * 1000,
+  memory: options["build-memory"] || "4g",
+  cpus: options["build-cpus"] || "2",
+  pids: options["build-pids"] || "4096",
+  disk: options["build-disk"] || null,
+};
+if (!(buildLimits.timeoutMs > 0)) {
+  console.error("Invalid --build-timeout", options["build-timeout"]);
+  process.exit(1);
+}
 
 if (whatToAudit.length == 0) {
   console.error("No arguments received");
@@ -23,15 +211,31 @@ if (whatToAudit.length == 0) {
   console.error("  ./audit 'build:no tag match'");
   console.error("  ./audit 'mismatch' 'build:unexpected-error'");
   console.error("  ./audit 'mismatch' 'benign-mismatch'");
+  console.error("  ./audit needs-review");
   console.error("  ./audit lodash");
   console.error("  ./audit diff prettier");
+  console.error("  ./audit lodash@4.17.20 'react@>=18' @babel/core@tag:next");
+  console.error("  ./audit --all-versions lodash");
+  console.error("  ./audit --force lodash");
+  console.error("  ./audit --double-build mismatch");
+  console.error("  ./audit --code-diff mismatch");
+  console.error("  ./audit --unminify --code-diff mismatch");
+  console.error("  ./audit --resume");
+  console.error("  ./audit --registry=https://npm.example.com/ lodash");
+  console.error("  ./audit --offline=fixtures/registry lodash");
+  console.error("  ./audit --registry-keys=registryKeys.json lodash");
+  console.error("  ./audit --build-timeout=60 --build-memory=8g @babel/core");
   process.exit(1);
 }
 
 // TODO: 5000
 const N_PACKAGES = 250;
 
-const packageNames = topPackages(N_PACKAGES);
+// Packages explicitly requested with a version selector get audited even if
+// they're not in the top N:
+const packageNames = [
+  ...new Set([...topPackages(N_PACKAGES), ...Object.keys(versionSelectors)]),
+];
 
 // Assert there are no naughty package names we can't use as directory paths:
 for (const packageName of packageNames) {
@@ -39,7 +243,7 @@ for (const packageName of packageNames) {
     packageName.split("/").includes(".") ||
     packageName.split("/").includes("..")
   ) {
-    throw `unexpected naughty package name in top ${N_PACKAGES}: ${packageName}`;
+    throw `unexpected naughty package name: ${packageName}`;
   }
 }
 
@@ -64,12 +268,175 @@ function escapeShellArg(arg) {
   return `'${arg.replace(/'/g, `'\\''`)}'`;
 }
 
-// Before we begin, make sure we have an up-to-date version of the Docker image
-// we use for running untrusted build scripts in
+const fixtureRegistry = options.offline
+  ? await startFixtureRegistry(options.offline)
+  : null;
+if (fixtureRegistry) {
+  console.warn(
+    "--offline only applies to audit.js itself; builds still clone the " +
+      "source and install dependencies over the network.",
+  );
+}
+const registryKeys = options["registry-keys"]
+  ? await loadRegistryKeys(options["registry-keys"])
+  : null;
+const registry = new RegistryClient(
+  fixtureRegistry?.url || options.registry || DEFAULT_REGISTRY_URL,
+  options["registry-token"] || process.env.REGISTRY_TOKEN || null,
+);
+
+// We run untrusted build scripts inside Docker containers, using one image per
+// Node major. Each image gets built (or brought up to date) the first time we
+// need it. Maps Node majors to promises of image IDs:
 const dockerDir = `${import.meta.dirname}/docker`;
-const imageId = (
-  await run("sudo", "docker", "build", "--quiet", dockerDir)
-).stdout.trim();
+const imageIds = new Map();
+function dockerImageFor(nodeMajor) {
+  if (!imageIds.has(nodeMajor)) {
+    imageIds.set(
+      nodeMajor,
+      run(
+        "sudo",
+        "docker",
+        "build",
+        "--quiet",
+        "--build-arg",
+        `NODE_MAJOR=${nodeMajor}`,
+        dockerDir,
+      ).then(({ stdout }) => stdout.trim()),
+    );
+  }
+  return imageIds.get(nodeMajor);
+}
+
+const DOCKER_SIZE_UNITS = {
+  b: 1,
+  kb: 1000,
+  kib: 1024,
+  mb: 1000 ** 2,
+  mib: 1024 ** 2,
+  gb: 1000 ** 3,
+  gib: 1024 ** 3,
+  tb: 1000 ** 4,
+  tib: 1024 ** 4,
+};
+
+/**
+ * Parse a size as output by `docker stats`, like "1.5GiB", into bytes.
+ * Returns null if it can't be parsed.
+ */
+function parseDockerSize(size) {
+  const match = size.trim().match(/^([\d.]+)\s*([a-z]+)$/i);
+  const multiplier = match && DOCKER_SIZE_UNITS[match[2].toLowerCase()];
+  return multiplier ? Math.round(Number(match[1]) * multiplier) : null;
+}
+
+/**
+ * Run a container with the given `docker run` arguments (minus the leading
+ * "docker run"), killing it if it's still running after `timeoutMs`, and
+ * sampling its memory use while it runs. Resolves (even if the container
+ * fails) to an object like:
+ *
+ *   {
+ *     output: "...", // stdout and stderr, interleaved
+ *     exitCode: 0,
+ *     timedOut: false,
+ *     oomKilled: false,
+ *     durationMs: 61234,
+ *     peakMemoryBytes: 123456789, // or null if we never got a sample
+ *   }
+ *
+ * The container is removed afterwards either way. If it never got created
+ * (e.g. because Docker rejected the arguments), throws a JobFailed including
+ * Docker's output.
+ */
+async function runContainer(dockerRunArgs, timeoutMs) {
+  const containerName = `source-vs-npm-${randomUUID()}`;
+  const startTime = Date.now();
+  let timedOut = false;
+  let peakMemoryBytes = null;
+
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    run("sudo", "docker", "kill", containerName).catch(() => {
+      // Presumably it finished just as we tried to kill it
+    });
+  }, timeoutMs);
+  // `docker stats` only gives us current usage, so we poll it:
+  let sampling = false;
+  const memorySampler = setInterval(async () => {
+    if (sampling) {
+      return;
+    }
+    sampling = true;
+    try {
+      const { stdout } = await run(
+        "sudo",
+        "docker",
+        "stats",
+        "--no-stream",
+        "--format",
+        "{{.MemUsage}}",
+        containerName,
+      );
+      const bytes = parseDockerSize(stdout.split("/")[0]);
+      if (bytes !== null && bytes > peakMemoryBytes) {
+        peakMemoryBytes = bytes;
+      }
+    } catch {
+      // Not started yet, or already finished
+    } finally {
+      sampling = false;
+    }
+  }, 5000);
+
+  let output;
+  try {
+    output = (
+      await runShell(
+        "sudo",
+        "docker",
+        "run",
+        "--name",
+        containerName,
+        "--label",
+        "source-vs-npm",
+        ...dockerRunArgs,
+      )
+    ).stdout;
+  } catch (e) {
+    // Killed or crashed; we find out which below
+    output = e.stdout || "";
+  } finally {
+    clearTimeout(timeout);
+    clearInterval(memorySampler);
+  }
+  const durationMs = Date.now() - startTime;
+
+  let exitCode = null;
+  let oomKilled = false;
+  try {
+    const { stdout } = await run(
+      "sudo",
+      "docker",
+      "inspect",
+      "--format",
+      "{{.State.ExitCode}} {{.State.OOMKilled}}",
+      containerName,
+    );
+    const [exitCodeStr, oomKilledStr] = stdout.trim().split(" ");
+    exitCode = Number(exitCodeStr);
+    oomKilled = oomKilledStr == "true";
+  } catch (e) {
+    throw new JobFailed(
+      "container failed",
+      `Couldn't run the build container. Docker said: ${output.trim()}`,
+      e,
+    );
+  } finally {
+    await run("sudo", "docker", "rm", "--force", containerName).catch(() => {});
+  }
+  return { output, exitCode, timedOut, oomKilled, durationMs, peakMemoryBytes };
+}
 
 /**
  * category: short (e.g. 1 or 2 word) summary used to categorise the error in
@@ -86,61 +453,519 @@ class JobFailed extends Error {
   }
 }
 
+/**
+ * Returns true if a previous result (a parsed results.json) is in one of the
+ * categories of result we were asked on the command line to re-audit.
+ */
+function isInRequestedCategory(oldResultJson) {
+  if (
+    !oldResultJson.contentMatches &&
+    !oldResultJson.isKnownBenignMismatch &&
+    whatToAudit.includes("failing")
+  ) {
+    return true;
+  }
+  if (
+    oldResultJson.contentMatches === false &&
+    whatToAudit.includes("benign-mismatch")
+  ) {
+    return true;
+  }
+  if (
+    oldResultJson.contentMatches === false &&
+    !oldResultJson.isKnownBenignMismatch &&
+    whatToAudit.includes("mismatch")
+  ) {
+    return true;
+  }
+  if (
+    oldResultJson.acceptedDiffStatus == "unrecorded" &&
+    whatToAudit.includes("needs-review")
+  ) {
+    return true;
+  }
+  return whatToAudit.includes(oldResultJson.error?.category?.toLowerCase());
+}
+
+/**
+ * Returns true if a previous result (a parsed results.json) shows the version
+ * passed the audit: either the content matched, or it only mismatched in
+ * known benign ways.
+ */
+function hasPassed(oldResultJson) {
+  return (
+    !oldResultJson.error &&
+    Boolean(oldResultJson.contentMatches || oldResultJson.isKnownBenignMismatch)
+  );
+}
+
+/**
+ * Work out which versions of a package we've been asked to audit, as a list
+ * of version selectors (see versions.js). An empty list means skip it.
+ */
+async function versionSelectorsFor(packageName, packageDir) {
+  if (versionSelectors[packageName]) {
+    return auditAllVersions ? [ALL_VERSIONS] : versionSelectors[packageName];
+  }
+  if (
+    whatToAudit.includes("all") ||
+    whatToAudit.includes(packageName.toLowerCase())
+  ) {
+    return [auditAllVersions ? ALL_VERSIONS : undefined];
+  }
+
+  // Otherwise we're re-auditing by category, so pick out whichever versions
+  // we've audited before whose results are in a requested category:
+  const selectors = [];
+  for (const entry of await readdir(packageDir, { withFileTypes: true })) {
+    const resultsPath = `${packageDir}/${entry.name}/results.json`;
+    if (!entry.isDirectory()) {
+      continue;
+    }
+    // No results means the audit of this version got interrupted:
+    if (!existsSync(resultsPath)) {
+      if (whatToAudit.includes("incomplete")) {
+        selectors.push(entry.name);
+      }
+      continue;
+    }
+    const oldResultJson = JSON.parse((await readFile(resultsPath)).toString());
+    if (isInRequestedCategory(oldResultJson)) {
+      selectors.push(oldResultJson.version);
+    }
+  }
+  // We may also have failed before even getting as far as picking a version,
+  // in which case there's a package-level results.json:
+  const packageResultsPath = `${packageDir}/results.json`;
+  if (
+    existsSync(packageResultsPath) &&
+    isInRequestedCategory(
+      JSON.parse((await readFile(packageResultsPath)).toString()),
+    )
+  ) {
+    selectors.push(auditAllVersions ? ALL_VERSIONS : undefined);
+  }
+  return selectors;
+}
+
+async function fetchPackument(packageName) {
+  try {
+    // We cannot use the endpoint to fetch just one version because that
+    // endpoint doesn't return the publication date, which we need. So we have
+    // to fetch all the data about the package!
+    return await registry.fetchPackument(packageName);
+  } catch (e) {
+    throw new JobFailed(
+      "reg fetch failed",
+      `Failed to fetch package info from ${registry.registryUrl}`,
+      e,
+    );
+  }
+}
+
+/**
+ * Figure out which versions of the package to audit and add a job to the
+ * queue for each one.
+ */
 async function auditPackage(packageName) {
   // Create (if not exists) a folder for results/logs/diffs about this package:
   const packageDir = `${import.meta.dirname}/audits/${packageName}`;
   await mkdir(packageDir, { recursive: true });
 
-  async function shouldSkip() {
-    if (whatToAudit.includes("all")) {
-      return false;
+  const selectors = await versionSelectorsFor(packageName, packageDir);
+  if (selectors.length == 0) {
+    console.log(
+      `Skipping ${packageName}. ${auditQueue.length} left after this.`,
+    );
+    return;
+  }
+
+  // If we fail before we even know which versions to audit, there's no
+  // version directory to record that in, so we write a results.json for the
+  // whole package instead:
+  const packageResultsPath = `${packageDir}/results.json`;
+  const startTime = new Date().toISOString();
+  const versions = [];
+  let packument;
+  try {
+    packument = await fetchPackument(packageName);
+    for (const selector of selectors) {
+      for (const version of resolveVersions(packument, selector)) {
+        if (!versions.includes(version)) {
+          versions.push(version);
+        }
+      }
     }
-    if (whatToAudit.includes(packageName.toLowerCase())) {
-      return false;
+    if (versions.length == 0) {
+      const selectorsDesc = selectors
+        .map((selector) => (selector === ALL_VERSIONS ? "(all)" : selector))
+        .join(", ");
+      throw new JobFailed(
+        "no such version",
+        `No published versions matched ${selectorsDesc || "tag:latest"}`,
+      );
     }
-    const oldResultJson = JSON.parse(
-      (await readFile(`${packageDir}/results.json`)).toString(),
-    );
-    if (
-      !oldResultJson.contentMatches &&
-      !oldResultJson.isKnownBenignMismatch &&
-      whatToAudit.includes("failing")
-    ) {
-      return false;
+  } catch (e) {
+    if (!(e instanceof JobFailed)) {
+      throw e;
     }
-    if (
-      oldResultJson.contentMatches === false &&
-      whatToAudit.includes("benign-mismatch")
-    ) {
-      return false;
+    console.error(`Couldn't audit ${packageName}: ${e.category}`);
+    await writeFile(
+      packageResultsPath,
+      JSON.stringify({
+        packageName: packageName,
+        startTime: startTime,
+        error: { category: e.category, explanation: e.explanation },
+      }),
+    );
+    return;
+  }
+  await rm(packageResultsPath, { force: true });
+
+  // Versions that passed in an earlier run get skipped, unless we're forced
+  // to redo them, or they were picked out by a category (since then they were
+  // asked for specifically, e.g. with `benign-mismatch`):
+  const skipPassed =
+    !options.force &&
+    (versionSelectors[packageName] ||
+      whatToAudit.includes("all") ||
+      whatToAudit.includes(packageName.toLowerCase()));
+
+  // Each version is a job of its own, so that auditing lots of versions of one
+  // package gets spread across all the workers. (Pushed in reverse order since
+  // we pop jobs off the end of the queue.)
+  for (const version of versions.reverse()) {
+    const jobKey = `${packageName}@${version}`;
+    if (runState.completed.includes(jobKey)) {
+      console.log(`Skipping ${jobKey}; already audited earlier in this run.`);
+      continue;
     }
+    const resultsPath = `${packageDir}/${version}/results.json`;
     if (
-      oldResultJson.contentMatches === false &&
-      !oldResultJson.isKnownBenignMismatch &&
-      whatToAudit.includes("mismatch")
+      skipPassed &&
+      existsSync(resultsPath) &&
+      hasPassed(JSON.parse((await readFile(resultsPath)).toString()))
     ) {
-      return false;
+      console.log(`Skipping ${jobKey}; passed before. (Use --force to redo.)`);
+      continue;
     }
-    if (whatToAudit.includes(oldResultJson.errorCategory?.toLowerCase())) {
-      return false;
+    auditQueue.push(async () => {
+      await auditVersion(packageName, packument, version);
+      runState.completed.push(jobKey);
+      saveRunState();
+    });
+  }
+}
+
+/**
+ * Extract a package tarball (see tarball.js) into the given directory (which
+ * must be empty but for the tarball, or not exist yet), deleting the tarball
+ * afterwards. Returns the tarball's entries, along with the `path` of the
+ * folder the package contents were extracted to.
+ */
+async function extractTarball(tgzPath, destDir) {
+  const tarball = readTarball(await readFile(tgzPath));
+  await rm(tgzPath);
+  return {
+    path: await writeTarball(tarball, destDir),
+    entries: tarball.entries,
+  };
+}
+
+// Longest line of a diff we log in full with --unminify:
+const MAX_LOGGED_LINE_LENGTH = 1000;
+
+/**
+ * Diff two extracted packages (see extractTarball), logging the differences
+ * with the given log function. Returns an object with the `manifest` of every
+ * file (see contentDiff.js), and `changes`: null if they match, or otherwise
+ * an array of changes like
+ * `{type: "build-only" | "published-only" | "change", path}`, where
+ * "build-only" means only in the first package and "published-only" only in
+ * the second. Files whose permission bits are all that differ get logged,
+ * but don't count as changes, as they didn't before we compared modes.
+ */
+async function diffContents(built, published, log) {
+  await log("Diffing", built.path, "against", published.path);
+  const manifest = diffManifest(built.entries, published.entries);
+  const modeChanges = manifest.filter((item) => item.status == "mode-changed");
+  for (const { path, built, published } of modeChanges) {
+    await log(`Mode of ${path} differs: ${built.mode} vs ${published.mode}`);
+  }
+  const changedItems = manifest.filter(
+    (item) => !["same", "mode-changed"].includes(item.status),
+  );
+  if (!changedItems.length) {
+    return { manifest, changes: null };
+  }
+
+  await log("Mismatch! Differences:");
+  for (const item of changedItems) {
+    if (item.status != "changed") {
+      await log(`${item.status}: ${item.path}`);
+    } else if (item.diff) {
+      // With --unminify, minified files get a readable diff of their own
+      // later, so we spare the log their enormous lines here:
+      await log(
+        options.unminify
+          ? item.diff.replaceAll(
+              new RegExp(`^(.{${MAX_LOGGED_LINE_LENGTH}}).+$`, "gm"),
+              "$1 [...]",
+            )
+          : item.diff,
+      );
+    } else if (item.built.type != item.published.type) {
+      await log(
+        `changed: ${item.path} is a ${item.built.type} in the build`,
+        `but a ${item.published.type} in the published package`,
+      );
+    } else if (item.built.type == "symlink") {
+      await log(
+        `changed: symlink ${item.path} points to ${item.built.target}`,
+        `in the build but ${item.published.target} in the published package`,
+      );
+    } else {
+      await log(`changed: ${item.path} (binary or too big to diff)`);
     }
-    return true;
   }
 
-  if (await shouldSkip()) {
-    console.log(
-      `Skipping ${packageName}. ${packageNamesQueue.length} left after this.`,
+  const changes = changedItems.map(({ status, path }) => ({
+    type: status == "changed" ? "change" : status,
+    path,
+  }));
+  return { manifest, changes };
+}
+
+/**
+ * Given the changes diffContents found between a built package and the
+ * published one, work out which are benign, logging the details with the
+ * given log function. Returns the results to record in results.json:
+ * `contentMatches`, plus if it's false, `changes`, `isKnownBenignMismatch`,
+ * `riskScore` and `riskFindings` (from scanning unexcused changes; see
+ * riskScan.js) and any of `packageJsonDiff`, `diffFingerprint`,
+ * `acceptedDiffStatus` and `dubiousChange`. With --code-diff, changed code
+ * files get a `codeChange` of "cosmetic" or "behavioural" (see codeDiff.js).
+ * If the build recorded a `packFileList`, there's also a `mismatchKind` of
+ * "packaging rules differ" or "content differs", and changes down to
+ * packaging get a `packaging` explanation (see packagingDiagnosis.js).
+ * With --unminify, changed minified files get `originalSources`, listing
+ * which files their source maps say the differences came from.
+ */
+async function compareContents(
+  packageName,
+  version,
+  builtContentPath,
+  publishedContentPath,
+  changes,
+  packFileList,
+  log,
+) {
+  const result = {};
+  // If a rule whitelists this entire version, we expect a mismatch:
+  const wholeVersionRule = wholeVersionRuleFor(packageName, version);
+
+  result.contentMatches = !changes;
+  if (changes) {
+    // Now evaluate whether every single change in the diff is excused by a
+    // rule, recording which rule excused each one:
+    result.changes = explainChanges(packageName, version, changes);
+
+    // package.json differences are often just down to key order, whitespace
+    // or fields added at publish time, so we compare it structurally. If
+    // there are no differences beyond those, that excuses it; if there are
+    // dangerous ones, we flag it as high severity.
+    const packageJsonChange = result.changes.find(
+      (change) => change.type == "change" && change.path == "package.json",
     );
-    return;
+    if (packageJsonChange) {
+      try {
+        result.packageJsonDiff = comparePackageJson(
+          JSON.parse(await readFile(`${builtContentPath}/package.json`)),
+          JSON.parse(await readFile(`${publishedContentPath}/package.json`)),
+        );
+      } catch (e) {
+        await log("Couldn't compare package.json files structurally:", e);
+      }
+    }
+    if (result.packageJsonDiff) {
+      await log(
+        "package.json field differences:",
+        JSON.stringify(result.packageJsonDiff, null, 2),
+      );
+      if (result.packageJsonDiff.every((field) => field.severity == "benign")) {
+        packageJsonChange.excusedBy = {
+          id: "package-json-semantics",
+          reason:
+            "package.json only differs in key order, whitespace or fields " +
+            "set at publish time",
+        };
+      } else if (
+        result.packageJsonDiff.some((field) => field.severity == "high")
+      ) {
+        packageJsonChange.severity = "high";
+      }
+    }
+    // With --code-diff, we check whether changed code files differ in
+    // anything beyond comments and formatting. If not, that excuses them:
+    if (options["code-diff"]) {
+      for (const change of result.changes) {
+        if (change.type != "change") {
+          continue;
+        }
+        let codeChange;
+        try {
+          codeChange = classifyCodeChange(
+            change.path,
+            await readFile(`${builtContentPath}/${change.path}`, "utf8"),
+            await readFile(`${publishedContentPath}/${change.path}`, "utf8"),
+          );
+        } catch (e) {
+          await log("Couldn't compare", change.path, "as code:", e);
+        }
+        if (!codeChange) {
+          continue;
+        }
+        change.codeChange = codeChange;
+        if (codeChange == "cosmetic" && !change.excusedBy) {
+          change.excusedBy = {
+            id: "cosmetic-only",
+            reason: "only comments or formatting differ",
+          };
+        }
+      }
+    }
+    if (options.unminify) {
+      for (const change of result.changes) {
+        if (change.type != "change") {
+          continue;
+        }
+        let minifiedDiff;
+        try {
+          minifiedDiff = await diffMinified(
+            builtContentPath,
+            publishedContentPath,
+            change.path,
+          );
+        } catch (e) {
+          await log("Couldn't diff", change.path, "as minified code:", e);
+        }
+        if (!minifiedDiff) {
+          continue;
+        }
+        change.originalSources = minifiedDiff.originalSources;
+        await log(
+          `Pretty-printed diff of minified ${change.path}:`,
+          minifiedDiff.patch ?? "(too different to diff)",
+        );
+        if (minifiedDiff.originalSources.length) {
+          await log(
+            "Differences map to original sources:",
+            minifiedDiff.originalSources.join(", "),
+          );
+        }
+      }
+    }
+    await log(
+      "Summary of files changed:",
+      JSON.stringify(result.changes, null, 2),
+    );
+
+    // Whole-version rules excuse everything, so check they're not hiding
+    // anything beyond the diff that was accepted when the rule was written:
+    if (wholeVersionRule) {
+      const { fingerprint, status, unaccepted } = await checkAcceptedDiff(
+        wholeVersionRule,
+        result.changes,
+        builtContentPath,
+        publishedContentPath,
+      );
+      result.diffFingerprint = fingerprint;
+      result.acceptedDiffStatus = status;
+      if (status == "unrecorded") {
+        await log(
+          `Rule ${wholeVersionRule.id} has no acceptedDiff, so its diff ` +
+            "needs reviewing and recording. Current diff:",
+          JSON.stringify(fingerprint, null, 2),
+        );
+      }
+      for (const change of unaccepted) {
+        await log(
+          `Rule ${wholeVersionRule.id} doesn't accept this diff to`,
+          change.path,
+        );
+        change.excusedBy = null;
+      }
+    }
+
+    const dubiousChange = result.changes.find((change) => !change.excusedBy);
+    result.isKnownBenignMismatch = !dubiousChange;
+    Object.assign(
+      result,
+      await scanChanges(
+        result.changes,
+        result.packageJsonDiff,
+        builtContentPath,
+        publishedContentPath,
+      ),
+    );
+    if (result.riskFindings.length) {
+      await log(
+        `Risk score ${result.riskScore}. Findings:`,
+        JSON.stringify(result.riskFindings, null, 2),
+      );
+    }
+
+    if (packFileList) {
+      let publishedPackageJson = null;
+      try {
+        publishedPackageJson = JSON.parse(
+          await readFile(`${publishedContentPath}/package.json`),
+        );
+      } catch {
+        // Then we just can't check its `files`.
+      }
+      result.mismatchKind = diagnosePackaging(
+        result.changes,
+        packFileList,
+        publishedPackageJson,
+      );
+      await log("Mismatch kind:", result.mismatchKind);
+      for (const change of result.changes) {
+        if (change.packaging) {
+          await log(`${change.type} ${change.path}:`, change.packaging);
+        }
+      }
+    }
+    if (dubiousChange) {
+      result.dubiousChange = dubiousChange;
+      await log(
+        "Change",
+        JSON.stringify(dubiousChange),
+        "does not appear benign",
+      );
+    }
   }
+  return result;
+}
+
+async function auditVersion(packageName, packument, version) {
+  // Create (if not exists) a folder to audit this version in:
+  const versionDir = `${import.meta.dirname}/audits/${packageName}/${version}`;
+  await mkdir(versionDir, { recursive: true });
+  // Don't leave an earlier run's results.json or diff.json around if this run
+  // doesn't get as far as writing them, so that an interrupted re-audit shows
+  // up as incomplete rather than as whatever happened last time:
+  await rm(`${versionDir}/results.json`, { force: true });
+  await rm(`${versionDir}/diff.json`, { force: true });
 
   console.log(
-    `Auditing ${packageName}. ${packageNamesQueue.length} left after this.`,
+    `Auditing ${packageName}@${version}. ${auditQueue.length} left after this.`,
   );
 
-  // A summary of this run we will write to `packageDir`:
+  // A summary of this run we will write to `versionDir`:
   const resultJson = {
     packageName: packageName,
+    version: version,
     startTime: new Date().toISOString(),
     // TODO: use these properties from buildResult.json
     // - successfulBuildCommand
@@ -149,7 +974,7 @@ async function auditPackage(packageName) {
 
   // Create a log file. Timestamp in name avoids overwriting old ones.
   const logStream = createWriteStream(
-    `${packageDir}/${resultJson.startTime}.log`,
+    `${versionDir}/${resultJson.startTime}.log`,
   );
   let drainPromiseResolver;
   logStream.on("drain", () => {
@@ -177,47 +1002,29 @@ async function auditPackage(packageName) {
   // Now that we've got logging set up, everything else happens in a massive
   // try/catch/finally block that logs any failures.
   try {
-    // Hit the npm registry to fetch data we need about the package:
-    let registryRespJson;
-    try {
-      // We only care about the latest version, but cannot use the endpoint to
-      // fetch just that version because that endpoint doesn't return the
-      // publication date, which we need. So we have to fetch all the data
-      // about the package!
-      const resp = await fetch(`https://registry.npmjs.org/${packageName}`);
-      registryRespJson = await resp.json();
-    } catch (e) {
-      throw new JobFailed(
-        "reg fetch failed",
-        "No response from the npm registry when requesting package info",
-        e,
-      );
-    }
-
-    const version = registryRespJson["dist-tags"].latest;
-    resultJson.version = version;
+    const versionJson = packument.versions[version];
 
-    const publishedAt = registryRespJson.time[version];
+    const publishedAt = packument.time[version];
     resultJson.publishedAt = publishedAt;
 
-    const tarballUrl = registryRespJson.versions[version].dist.tarball;
+    const tarballUrl = versionJson.dist.tarball;
     if (!tarballUrl.endsWith(".tgz")) {
       throw "Unexpected tarball URL format. Value was: " + tarballUrl;
     }
-    if (!registryRespJson.repository) {
+    // Older versions may have lived in a different repo to the latest one, so
+    // prefer the version's own repository field over the package-level one:
+    const repository = versionJson.repository || packument.repository;
+    if (!repository) {
       throw new JobFailed(
         "no repository",
         "repository field in registry was null or absent",
       );
     }
     if (
-      registryRespJson.repository.type != "git" &&
-      registryRespJson.repository.type // Assume Git if not specified
+      repository.type != "git" &&
+      repository.type // Assume Git if not specified
     ) {
-      throw new JobFailed(
-        "not git",
-        `repository.type was ${registryRespJson.repository.type}`,
-      );
+      throw new JobFailed("not git", `repository.type was ${repository.type}`);
     }
 
     // The "repository" field returned from the npm API is always EITHER just a
@@ -242,8 +1049,7 @@ async function auditPackage(packageName) {
     // > program without any modification
     //
     // Dumb, but it is what it is.
-    let repoUrl =
-      registryRespJson.repository.url || registryRespJson.repository;
+    let repoUrl = repository.url || repository;
     repoUrl = repoUrl.replace(/^git\+/, "");
     // The next complication is that most repos are hosted on GitHub and lots
     // of package.json files still refer to the repo using the git:// protocol
@@ -261,57 +1067,218 @@ async function auditPackage(packageName) {
 
     resultJson.repoUrl = repoUrl;
 
-    // Create (if not exists) a folder to audit this version in:
-    const versionDir = `${packageDir}/${version}`;
-    await mkdir(versionDir, { recursive: true });
-    // The version published to npm:
+    // The version published to npm. As with builds, we clear away anything
+    // left from a previous audit of this version first, since extracting the
+    // tarball doesn't overwrite what's already there:
     const publishedDir = `${versionDir}/published`;
+    await rm(publishedDir, { recursive: true, force: true });
     await mkdir(publishedDir, { recursive: true });
     // The result of running the build ourselves (SHOULD match /published)
     const buildDir = `${versionDir}/build`;
-    // We clear away any existing content here before proceeding so the
-    // container can do a fresh build untainted by previous attempts:
-    await rm(buildDir, { recursive: true, force: true });
-    await mkdir(buildDir, { recursive: true });
 
-    // TODO: Spec says to check for an existing build here and skip if there is
-    //       one. Is that actually reasonable? Probably we should just check if
-    //       the package has passed the audit (earlier); if so, skip everything,
-    //       if not, do everything.
+    // Pick which version of Node to build with, so that we're using roughly
+    // the same toolchain the maintainers did:
+    resultJson.nodeVersion = chooseNodeVersion(
+      versionJson,
+      publishedAt,
+      options.offline
+        ? {}
+        : await fetchNodeVersionFiles(
+            repoUrl,
+            versionJson.gitHead,
+            repository.directory,
+          ),
+    );
+    await log(
+      `Building with Node ${resultJson.nodeVersion.major}, based on`,
+      resultJson.nodeVersion.source,
+      JSON.stringify(resultJson.nodeVersion.hint),
+      ...(resultJson.nodeVersion.clamped
+        ? [
+            `(which calls for Node ${resultJson.nodeVersion.wantedMajor},`,
+            "but we can't build with that)",
+          ]
+        : []),
+    );
+    let imageId;
+    try {
+      imageId = await dockerImageFor(resultJson.nodeVersion.major);
+    } catch (e) {
+      throw new JobFailed(
+        "image build failed",
+        `Couldn't build Docker image for Node ${resultJson.nodeVersion.major}`,
+        e,
+      );
+    }
 
     // We need to clone the source and try to build it... but that entails
     // running arbitrary untrusted code, so we do it inside a Docker container,
-    // created from the image we built earlier.
+    // created from the image for that Node version.
     // We "bind mount" an empty folder on the host to the container for the
-    // container to write results to:
-    await log("Running build inside Docker. Output:");
-    const output = (
-      await runShell(
-        "sudo",
-        "docker",
-        "run",
-        "--rm",
-        "--mount",
-        `type=bind,src=${buildDir},dst=/home/node/build`,
-        imageId,
-        packageName,
-        repoUrl,
-        version,
-        publishedAt,
-      )
-    ).stdout;
-    await log(output);
+    // container to write results to, and another for it to work in.
+    // This happens in two phases: installing dependencies, with network
+    // access, then building and packing, without (see buildPackage.js).
+    // Builds into the given build directory (which is where buildResult.json
+    // and the packed tarball(s) end up), using the given work directory, and
+    // recording the resources used by each phase in `resourceUsage`. Returns
+    // the parsed buildResult.json.
+    async function buildInDocker(buildDir, workDir, resourceUsage) {
+      // We clear away any existing content here before proceeding so the
+      // container can do a fresh build untainted by previous attempts:
+      await rm(buildDir, { recursive: true, force: true });
+      await mkdir(buildDir, { recursive: true });
+      await rm(workDir, { recursive: true, force: true });
+      await mkdir(workDir, { recursive: true });
 
-    const buildJsonPath = `${buildDir}/buildResult.json`;
-    if (!existsSync(buildJsonPath)) {
-      throw "buildPackage.js failed to write a buildResult.json file";
+      const buildJsonPath = `${buildDir}/buildResult.json`;
+      // Both phases share one time limit:
+      const buildDeadline = Date.now() + buildLimits.timeoutMs;
+      async function runBuildPhase(phase, dockerOptions) {
+        const timeLeftMs = buildDeadline - Date.now();
+        if (timeLeftMs <= 0) {
+          throw new JobFailed(
+            "build:timeout",
+            `Build ran out of time before the ${phase} phase, having exceeded ` +
+              `the time limit of ${buildLimits.timeoutMs / 60000} minutes`,
+          );
+        }
+        await log(`Running ${phase} phase inside Docker. Output:`);
+        const {
+          output,
+          exitCode,
+          timedOut,
+          oomKilled,
+          durationMs,
+          peakMemoryBytes,
+        } = await runContainer(
+          [
+            "--mount",
+            `type=bind,src=${buildDir},dst=/home/node/build`,
+            "--mount",
+            `type=bind,src=${workDir},dst=/home/node/work`,
+            // So that builds embedding the hostname don't get a random one:
+            "--hostname",
+            "build",
+            "--memory",
+            buildLimits.memory,
+            // Same as --memory, so the container can't use swap either:
+            "--memory-swap",
+            buildLimits.memory,
+            "--cpus",
+            buildLimits.cpus,
+            "--pids-limit",
+            buildLimits.pids,
+            // (This doesn't apply to the bind mounts, only to what gets
+            // written elsewhere in the container:)
+            ...(buildLimits.disk
+              ? ["--storage-opt", `size=${buildLimits.disk}`]
+              : []),
+            ...dockerOptions,
+            imageId,
+            packageName,
+            repoUrl,
+            version,
+            publishedAt,
+            JSON.stringify({
+              gitHead: versionJson.gitHead,
+              directory: repository.directory,
+              recipe: recipeFor(packageName, repoUrl, version),
+              phase,
+            }),
+          ],
+          timeLeftMs,
+        );
+        await log(output);
+        resourceUsage[phase] = { durationMs, peakMemoryBytes };
+        await log(
+          `${phase} phase took ${durationMs}ms; peak memory sampled:`,
+          peakMemoryBytes === null ? "unknown" : `${peakMemoryBytes} bytes`,
+        );
+        if (timedOut) {
+          throw new JobFailed(
+            "build:timeout",
+            `Build was killed after exceeding the time limit of ` +
+              `${buildLimits.timeoutMs / 60000} minutes, during the ${phase} phase`,
+          );
+        }
+        if (oomKilled) {
+          throw new JobFailed(
+            "build:oom",
+            `Build was killed for exceeding the memory limit of ` +
+              `${buildLimits.memory}, during the ${phase} phase`,
+          );
+        }
+        if (exitCode !== 0) {
+          throw `buildPackage.js exited with code ${exitCode} in the ${phase} phase`;
+        }
+        if (!existsSync(buildJsonPath)) {
+          throw "buildPackage.js failed to write a buildResult.json file";
+        }
+      }
+      try {
+        await runBuildPhase("install", [
+          // Point package managers in the container at the same registry as us,
+          // so that installs go through a mirror if we're using one. (We
+          // deliberately don't pass in the auth token, since the container runs
+          // untrusted build scripts. A fixture registry isn't reachable from
+          // inside the container, so isn't passed in either.)
+          ...(options.registry
+            ? ["--env", `npm_config_registry=${registry.registryUrl}`]
+            : []),
+        ]);
+        if (!JSON.parse(await readFile(buildJsonPath)).errorCode) {
+          await runBuildPhase("build", ["--network", "none"]);
+        }
+      } finally {
+        await rm(workDir, { recursive: true, force: true });
+      }
+      return JSON.parse(await readFile(buildJsonPath));
+    }
+
+    resultJson.resourceUsage = {};
+    const buildResultJson = await buildInDocker(
+      buildDir,
+      `${versionDir}/work`,
+      resultJson.resourceUsage,
+    );
+
+    // The pack file list is long, so stays in buildResult.json:
+    const { packFileList, ...buildDetails } = buildResultJson;
+    resultJson.buildDetails = buildDetails;
+
+    // If the version was published with a provenance attestation, check it
+    // names the repo and commit we built from. (We don't rely on it to pick
+    // the commit, so that this is an independent check.)
+    try {
+      resultJson.provenance = compareProvenance(
+        provenanceClaims(await registry.fetchAttestations(versionJson)),
+        repoUrl,
+        buildResultJson.commit || null,
+      );
+      if (resultJson.provenance.status == "disagrees") {
+        await log(
+          "Provenance attestation disagrees about",
+          resultJson.provenance.mismatches.join(" and "),
+          JSON.stringify(resultJson.provenance.claims),
+        );
+      }
+    } catch (e) {
+      await log("Couldn't check provenance:", e.message);
+      resultJson.provenance = { status: "unreadable" };
+    }
+    if (buildResultJson.egressAttempts?.length) {
+      await log(
+        "Build tried to access the network:",
+        JSON.stringify(buildResultJson.egressAttempts, null, 2),
+      );
     }
-    const buildResultJson = JSON.parse(await readFile(buildJsonPath));
-    resultJson.buildDetails = buildResultJson;
     if (buildResultJson.errorCode) {
       throw new JobFailed(
         `build:${buildResultJson.errorCode}`,
-        `Build failed and reported error code ${buildResultJson.errorCode}`,
+        `Build failed and reported error code ${buildResultJson.errorCode}` +
+          (buildResultJson.egressAttempts?.length
+            ? " (after trying to access the network, which may be why)"
+            : ""),
       );
     }
 
@@ -319,171 +1286,186 @@ async function auditPackage(packageName) {
     if (!tgzFilename) {
       throw "buildResult.json included neither an error nor a tarballFilename";
     }
-    await run("tar", "-C", buildDir, "-xzf", `${buildDir}/${tgzFilename}`);
-    await rm(`${buildDir}/${tgzFilename}`);
-    // As described at
-    // https://docs.npmjs.com/cli/v9/commands/npm-install#description
-    // (points a and b), a package tarball contains a folder that contains the
-    // package contents. That folder is usually named "package" (that seems to
-    // be what `npm pack` defaults to), but this is not strictly required and
-    // there are exceptions - e.g.
-    // https://registry.npmjs.org/@types/node/-/node-24.0.14.tgz
-    // Therefore we need to check the name of the folder we've extracted here:
-    const extractedFiles = (await readdir(buildDir)).filter(
-      (filename) => filename != "buildResult.json",
+    const built = await extractTarball(
+      `${buildDir}/${tgzFilename}`,
+      `${buildDir}/pack`,
     );
-    if (extractedFiles.length !== 1) {
-      throw new Error(
-        "expected build tarball to have exactly 1 top-level item (a folder);" +
-          `but got ${extractedFiles.length}`,
-      );
+    // If the package has publish-only lifecycle scripts, buildPackage.js also
+    // packs it again after running them:
+    const lifecycleTgzFilename =
+      buildResultJson.publishLifecycleTarballFilename;
+    const builtWithLifecycle =
+      lifecycleTgzFilename &&
+      (await extractTarball(
+        `${buildDir}/${lifecycleTgzFilename}`,
+        `${buildDir}/publish-lifecycle`,
+      ));
+
+    // Manifests of every file in each comparison we make, keyed by
+    // comparison, to save as diff.json:
+    const manifests = {};
+
+    // Optionally, build it all over again from scratch, to tell which files
+    // our build doesn't produce deterministically. If the second build fails,
+    // however it fails, we just don't get to know.
+    if (options["double-build"]) {
+      resultJson.secondBuild = { resourceUsage: {} };
+      try {
+        await log("Building again to check for nondeterminism:");
+        const secondBuildDir = `${versionDir}/build2`;
+        const secondBuildResultJson = await buildInDocker(
+          secondBuildDir,
+          `${versionDir}/work2`,
+          resultJson.secondBuild.resourceUsage,
+        );
+        if (!secondBuildResultJson.tarballFilename) {
+          throw new JobFailed(
+            `build:${secondBuildResultJson.errorCode}`,
+            "Second build failed",
+          );
+        }
+        const secondBuilt = await extractTarball(
+          `${secondBuildDir}/${secondBuildResultJson.tarballFilename}`,
+          `${secondBuildDir}/pack`,
+        );
+        const buildDifferences = await diffContents(built, secondBuilt, log);
+        manifests["second-build"] = buildDifferences.manifest;
+        resultJson.nondeterministicFiles = (buildDifferences.changes || []).map(
+          (change) => change.path,
+        );
+      } catch (e) {
+        if (e instanceof JobFailed) {
+          await log("Second build failed with error", e.category);
+          resultJson.secondBuild.error = {
+            category: e.category,
+            explanation: e.explanation,
+          };
+        } else {
+          await log("Second build failed unexpectedly:", e?.stack || e);
+          resultJson.secondBuild.error = {
+            category: "unexpected crash",
+            explanation: String(e?.message || e),
+          };
+        }
+      }
     }
-    const [buildTarballFolderName] = extractedFiles;
-    const builtContentPath = `${buildDir}/${buildTarballFolderName}`;
 
     // If we successfully ran a build, next we need to download the version
     // published on npm to compare against
     const tarballFilename = tarballUrl.split("/").pop();
-    await run("wget", tarballUrl, "-O", `${publishedDir}/${tarballFilename}`);
-    await run(
-      "tar",
-      "-C",
-      publishedDir,
-      "-xzf",
+    let tarballBytes;
+    try {
+      tarballBytes = await registry.downloadTarball(
+        tarballUrl,
+        `${publishedDir}/${tarballFilename}`,
+      );
+    } catch (e) {
+      throw new JobFailed(
+        "tarball fetch failed",
+        `Failed to download published tarball from ${tarballUrl}`,
+        e,
+      );
+    }
+    // Make sure we got the tarball the registry says was published, and not
+    // something corrupted or tampered with along the way:
+    const verification = verifyTarball(
+      tarballBytes,
+      packageName,
+      version,
+      versionJson.dist,
+      publishedAt,
+      registryKeys,
+    );
+    resultJson.tarballIntegrity = {
+      integrity: verification.integrity,
+      shasum: verification.shasum,
+      signatures: verification.signatures,
+    };
+    if (verification.problems.length) {
+      await log("Tarball failed verification:", ...verification.problems);
+      throw new JobFailed(
+        "integrity mismatch",
+        `Downloaded tarball doesn't match the registry metadata: ` +
+          verification.problems.join("; "),
+      );
+    }
+    const published = await extractTarball(
       `${publishedDir}/${tarballFilename}`,
+      publishedDir,
     );
-    await rm(`${publishedDir}/${tarballFilename}`);
-    const [publishedTarballFolderName] = await readdir(publishedDir);
-    const publishedContentPath = `${publishedDir}/${publishedTarballFolderName}`;
-
-    const expectBenignMismatch =
-      packageName in knownMismatches &&
-      knownMismatches[packageName].includes(version);
 
-    // npm tarballs always have a top-level "package/" directory, so the final
-    // step is to diff those against each other:
-    await log("Diffing", builtContentPath, "against", publishedContentPath);
-    try {
-      await run("diff", "-ur", builtContentPath, publishedContentPath);
-      resultJson.contentMatches = true;
-    } catch (e) {
-      let diff = e.stdout;
-      if (!diff.trim()) {
-        throw "diff failed, but with no output";
+    const comparisons = {};
+    for (const [variant, builtVariant] of [
+      ["pack", built],
+      ["publish-lifecycle", builtWithLifecycle],
+    ]) {
+      if (!builtVariant) {
+        continue;
       }
-      resultJson.contentMatches = false;
-      await log("Mismatch! Diff:");
-      await log(diff);
-
-      if (expectBenignMismatch) {
-        resultJson.isKnownBenignMismatch = true;
-      } else {
-        // Next we parse the output from `diff` to get a list of what files have
-        // been changed and how, and then we determine whether all of those
-        // changes are known to be "benign" (based on a list of known-benign
-        // commonly-occurring differences between built and published versions)
-
-        // First parse lines like this:
-        //   Only in /home/mark/source-vs-npm/audits/cliui/9.0.1/published/package: CHANGELOG.md
-        const changes = Array.from(
-          diff
-            .matchAll(/^Only in (.+): (.+)$\n/gm)
-            .map(([_, folder, filename]) => {
-              if (folder.startsWith(publishedContentPath)) {
-                const sansPrefix = folder
-                  .replace(publishedContentPath, "")
-                  .replace(/^\//, "");
-                return {
-                  type: "published-only",
-                  path: `${sansPrefix}/${filename}`,
-                };
-              } else if (folder.startsWith(builtContentPath)) {
-                const sansPrefix = folder
-                  .replace(builtContentPath, "")
-                  .replace(/^\//, "");
-                return {
-                  type: "build-only",
-                  path: `${sansPrefix}/${filename}`,
-                };
-              } else
-                throw `unexpected only in line; folder: ${folder}; filename: ${filename}`;
-            }),
-        );
-
-        // Then strip out those lines, parse the remaining output (if any) with
-        // jsdiff, and check the diff headers to see which files have been
-        // modified:
-        diff = diff.replaceAll(/^Only in .+:.+$\n/gm, "").trim();
-        if (diff) {
-          const parsedPatch = parsePatch(diff);
-
-          for (const fileDiff of parsedPatch) {
-            changes.push({
-              type: "change",
-              path: fileDiff.newFileName.replace(publishedContentPath, ""),
-            });
-          }
-        }
-
-        await log(
-          "Summary of files changed:",
-          JSON.stringify(changes, null, 2),
-        );
-
-        // Now evaluate whether every single change in the diff matches a known
-        // benign reason for a mismatch to be present.
-        let dubiousChange;
-        resultJson.isKnownBenignMismatch = changes.every((change) => {
-          // 1. Sometimes the published version includes CHANGELOG.md or
-          //    .npmignore but our generated version doesn't, because the npm
-          //    CLI's behaviour around whether those files get packed has
-          //    changed over time.
-          //    (Example of .npmignore being published - isstream 0.1.2,
-          //    published in 2015.)
-          if (
-            change.type == "published-only" &&
-            (change.path == "/CHANGELOG.md" || change.path == "/.npmignore")
-          ) {
-            return true;
-          }
-
-          // 2. Some packages (e.g. cliui) publish tsconfig.tsbuildinfo, an
-          //    intermediate build artifact from incremental TypeScript
-          //    compilation that doesn't reliably end up with the same content
-          //    when rebuilding from scratch.
-          //    (Presumably its content depends in part on the order in which
-          //    different files were incrementally built.)
-          //    Ignore any differences in that file:
-          if (change.path.endsWith("/tsconfig.tsbuildinfo")) {
-            return true;
-          }
-
-          // 3. In @types packages, the `package.json`, `README.md` and `LICENSE`
-          //    files are generated by
-          //    https://github.com/microsoft/DefinitelyTyped-tools/blob/main/packages/publisher/src/generate-packages.ts
-          //    in a way we simply don't bother to replicate, so we assume here
-          //    any differences in those files are benign:
-          if (
-            packageName.startsWith("@types/") &&
-            ["/package.json", "/README.md", "/LICENSE"].includes(change.path)
-          ) {
-            return true;
-          }
+      if (variant == "publish-lifecycle") {
+        await log("Comparing tarball packed with publish lifecycle scripts:");
+      }
+      const { manifest, changes } = await diffContents(
+        builtVariant,
+        published,
+        log,
+      );
+      manifests[variant] = manifest;
+      comparisons[variant] = await compareContents(
+        packageName,
+        version,
+        builtVariant.path,
+        published.path,
+        changes,
+        packFileList,
+        log,
+      );
+    }
+    // A record of every file in each comparison, for tools and for digging
+    // into mismatches:
+    await writeFile(
+      `${versionDir}/diff.json`,
+      JSON.stringify(manifests, null, 2),
+    );
+    // Report whichever tarball came closest to the published one, preferring
+    // the plain-packed one in a tie:
+    const closeness = (comparison) =>
+      comparison.contentMatches ? 0 : comparison.isKnownBenignMismatch ? 1 : 2;
+    const [packVariant, bestComparison] = Object.entries(comparisons).sort(
+      ([_a, a], [_b, b]) => closeness(a) - closeness(b),
+    )[0];
+    Object.assign(resultJson, bestComparison);
+    if (builtWithLifecycle) {
+      resultJson.packVariant = packVariant;
+      resultJson.packVariants = Object.fromEntries(
+        Object.entries(comparisons).map(([variant, comparison]) => [
+          variant,
+          {
+            contentMatches: comparison.contentMatches,
+            isKnownBenignMismatch: comparison.isKnownBenignMismatch,
+          },
+        ]),
+      );
+    }
 
-          dubiousChange = change;
-          return false;
-        });
-        if (!resultJson.isKnownBenignMismatch) {
-          await log(
-            "Change",
-            JSON.stringify(dubiousChange),
-            "does not appear benign",
-          );
+    // Split mismatched files into those our two builds disagreed on, which
+    // might just be down to the build being nondeterministic, and those that
+    // both builds agree on, which are down to something else:
+    if (resultJson.nondeterministicFiles && resultJson.changes) {
+      resultJson.reproducibleMismatchFiles = [];
+      for (const change of resultJson.changes) {
+        if (resultJson.nondeterministicFiles.includes(change.path)) {
+          change.nondeterministic = true;
+        } else {
+          resultJson.reproducibleMismatchFiles.push(change.path);
         }
       }
     }
-    if (expectBenignMismatch && resultJson.contentMatches) {
-      throw "expected a benign mismatch, but content matched";
+
+    // If a rule whitelists this entire version, we expect a mismatch:
+    const wholeVersionRule = wholeVersionRuleFor(packageName, version);
+    if (wholeVersionRule && resultJson.contentMatches) {
+      throw `expected a benign mismatch due to rule ${wholeVersionRule.id}, but content matched`;
     }
   } catch (e) {
     if (e instanceof JobFailed) {
@@ -533,30 +1515,89 @@ async function auditPackage(packageName) {
     await logsAllWrittenPromise;
 
     // Write the results to disk:
-    await writeFile(`${packageDir}/results.json`, JSON.stringify(resultJson));
+    await writeFile(`${versionDir}/results.json`, JSON.stringify(resultJson));
   }
 }
 
 const MAX_SIMULTANEOUS_AUDITS = 5;
-const packageNamesQueue = [...packageNames].reverse();
+// Jobs are functions returning promises. We start with one job per package,
+// and each of those adds a job per version of the package to audit.
+const auditQueue = [...packageNames]
+  .reverse()
+  .map((packageName) => () => auditPackage(packageName));
+// Since jobs can add more jobs, a worker that finds the queue empty keeps
+// waiting until no jobs are running before giving up. Each job that finishes
+// resolves `jobFinished` (and replaces it) to wake up any waiting workers.
+let runningJobs = 0;
+let notifyJobFinished;
+let jobFinished = new Promise((resolve) => (notifyJobFinished = resolve));
 async function doAuditsUntilFinished() {
-  while (packageNamesQueue.length > 0) {
-    const packageName = packageNamesQueue.pop();
-    await auditPackage(packageName);
+  while (auditQueue.length > 0 || runningJobs > 0) {
+    if (auditQueue.length == 0) {
+      await jobFinished;
+      continue;
+    }
+    const job = auditQueue.pop();
+    runningJobs++;
+    try {
+      await job();
+    } finally {
+      runningJobs--;
+      const notify = notifyJobFinished;
+      jobFinished = new Promise((resolve) => (notifyJobFinished = resolve));
+      notify();
+    }
   }
 }
 
+saveRunState();
 const workers = [];
 for (let i = 0; i < MAX_SIMULTANEOUS_AUDITS; i++) {
   workers.push(doAuditsUntilFinished());
 }
 
 await Promise.all(workers);
+runState.finishTime = new Date().toISOString();
+saveRunState();
 
-// Combine all results into a single result file:
-const allResults = packageNames.map((packageName) =>
-  JSON.parse(readFileSync(`audits/${packageName}/results.json`).toString()),
-);
+// Combine all results into a single result file, with each package's results
+// grouped together and sorted by version:
+const allResults = [];
+for (const packageName of packageNames) {
+  const packageDir = `audits/${packageName}`;
+  // (Packages a previous interrupted run never got to have no directory.)
+  if (!existsSync(packageDir)) {
+    continue;
+  }
+  const packageResults = [];
+  if (existsSync(`${packageDir}/results.json`)) {
+    packageResults.push(
+      JSON.parse(readFileSync(`${packageDir}/results.json`).toString()),
+    );
+  }
+  for (const entry of readdirSync(packageDir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) {
+      continue;
+    }
+    const resultsPath = `${packageDir}/${entry.name}/results.json`;
+    if (existsSync(resultsPath)) {
+      packageResults.push(JSON.parse(readFileSync(resultsPath).toString()));
+    } else {
+      // The audit of this version got interrupted before finishing:
+      packageResults.push({
+        packageName: packageName,
+        version: entry.name,
+        error: {
+          category: "incomplete",
+          explanation:
+            "Audit was interrupted before finishing. Run `./audit incomplete` " +
+            "to redo it.",
+        },
+      });
+    }
+  }
+  allResults.push(...packageResults.sort(compareResultVersions));
+}
 writeFileSync("allResults.json", JSON.stringify(allResults));
 
 // Populate the results template and view results
@@ -568,4 +1609,5 @@ const resultsHtml = readFileSync("./results.template.html").toString().replace(
   JSON.stringify(allResults).replaceAll("/", "\\/"),
 );
 writeFileSync("./results.html", resultsHtml);
+await fixtureRegistry?.close();
 execFile("open", ["results.html"]);
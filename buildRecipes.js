@@ -0,0 +1,52 @@
+/**
+ * Recipes overriding how particular packages get built, for repos that our
+ * generic build logic in docker/buildPackage.js can't cope with. See
+ * recipes.js for how they're matched up with packages.
+ *
+ * Each recipe has:
+ * - id: a short unique name, recorded in buildResult.json
+ * - package: glob matched against the package name (optional)
+ * - repo: URL of the source repo; matched ignoring case, scheme, any
+ *         trailing `.git` and so on (see repoUrl.js) (optional)
+ * - versions: semver range the recipe applies to (optional; default any)
+ *
+ * plus any of these overrides:
+ * - install: array of commands to install dependencies, replacing the usual
+ *            `<package manager> install`
+ * - build: array of commands to build the package, replacing the usual
+ *          attempts to run a `build` script
+ * - buildOnline: true to run the `build` commands at the end of the install
+ *                phase, with network access, rather than offline in the build
+ *                phase (for builds that install dependencies themselves)
+ * - cwd: directory (relative to the repo root) to run install and build
+ *        commands from
+ * - packDir: directory (relative to the repo root) to pack from
+ * - packTool: "npm", "yarn", "pnpm", "bun" or "clean-publish"
+ * - env: object of environment variables to set for the whole build
+ * - tagPattern: Git tag name, or array of tag names to try in order,
+ *               replacing the usual guesses
+ *
+ * Each command is an array of arguments, e.g. ["make", "prepublish"]. In
+ * `cwd`, `packDir`, `tagPattern` and command arguments, `{name}` and
+ * `{version}` are replaced with the package name and version.
+ *
+ * A recipe needs at least one of `package` or `repo`. When several recipes
+ * match, they're all applied in order, with later ones taking precedence, so
+ * e.g. a recipe for a whole monorepo can be tweaked for one of its packages.
+ */
+export default [
+  {
+    id: "babel",
+    repo: "https://github.com/babel/babel",
+    // The Babel monorepo uses Make. Its prepublish target reinstalls
+    // dependencies, so needs network access:
+    build: [["make", "prepublish"]],
+    buildOnline: true,
+  },
+  {
+    id: "react",
+    repo: "https://github.com/facebook/react",
+    // This is where the React monorepo puts built packages ready to be packed:
+    packDir: "build/oss-stable-semver/{name}",
+  },
+];
@@ -0,0 +1,161 @@
+/**
+ * Code-aware comparison of JS, TS and JSON files, for telling a change that
+ * could affect behaviour apart from one that's purely cosmetic, i.e. only in
+ * comments (including license banners) or formatting.
+ */
+
+import { parse } from "acorn";
+import jsTokens from "js-tokens";
+
+const JS_EXTENSIONS = [".js", ".mjs", ".cjs"];
+const TOKENIZED_EXTENSIONS = [".ts", ".mts", ".cts"];
+const JSX_EXTENSIONS = [".jsx", ".tsx"];
+
+// AST node properties that only record where in the source a node was:
+const POSITION_PROPERTIES = ["start", "end", "loc", "range"];
+
+// Token types that can't affect behaviour:
+const IGNORED_TOKEN_TYPES = [
+  "WhiteSpace",
+  "LineTerminatorSequence",
+  "MultiLineComment",
+  "SingleLineComment",
+  "HashbangComment",
+];
+
+// Punctuators after which a trailing comma makes no difference:
+const CLOSING_PUNCTUATORS = [")", "]", "}"];
+
+// Punctuators after which a comma is an elision (a hole in an array, like
+// `[,]`) rather than trailing an element, so does make a difference:
+const ELISION_PUNCTUATORS = ["(", "[", "{", ","];
+
+// Where a line break can make automatic semicolon insertion (ASI) kick in, so
+// changes behaviour: after these keywords, and before these operators.
+const NO_LINE_BREAK_AFTER = ["return", "throw", "break", "continue", "yield"];
+const NO_LINE_BREAK_BEFORE = ["++", "--"];
+const LINE_BREAK_TOKEN = "<line break>";
+
+/**
+ * Parse JS source into an AST, as a module if possible (since that's the
+ * stricter grammar) or else as a script.
+ */
+function parseJs(text) {
+  const acornOptions = {
+    ecmaVersion: "latest",
+    allowHashBang: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+  };
+  try {
+    return parse(text, { ...acornOptions, sourceType: "module" });
+  } catch {
+    return parse(text, { ...acornOptions, sourceType: "script" });
+  }
+}
+
+/**
+ * Serialize a JS AST, leaving out positions and literals' raw source text so
+ * that formatting (and comments, which acorn doesn't put in the AST anyway)
+ * don't affect the result.
+ */
+function serializeAst(ast) {
+  return JSON.stringify(ast, function (key, value) {
+    if (
+      POSITION_PROPERTIES.includes(key) ||
+      (key == "raw" && this.type == "Literal")
+    ) {
+      return undefined;
+    }
+    // BigInt literals, which also have a `bigint` string property:
+    if (typeof value == "bigint") {
+      return value.toString();
+    }
+    return value;
+  });
+}
+
+/**
+ * Reduce source we can't parse with acorn (TypeScript, JSX) to a list of
+ * tokens, minus whitespace, comments and trailing commas, and with string
+ * literals stripped of their quotes. Line breaks are kept only where ASI
+ * could make them matter. Cruder than comparing ASTs (e.g. adding a semicolon
+ * that ASI would have inserted counts as a change), but doesn't need a parser
+ * for every dialect.
+ */
+function significantTokens(text, jsx) {
+  const tokens = [];
+  let hasLineBreak = false;
+  for (const token of jsTokens(text, { jsx })) {
+    if (IGNORED_TOKEN_TYPES.includes(token.type)) {
+      hasLineBreak ||=
+        token.type == "LineTerminatorSequence" ||
+        (token.type == "MultiLineComment" &&
+          /[\n\r\u2028\u2029]/.test(token.value));
+      continue;
+    }
+    if (
+      hasLineBreak &&
+      (NO_LINE_BREAK_AFTER.includes(tokens.at(-1)) ||
+        NO_LINE_BREAK_BEFORE.includes(token.value))
+    ) {
+      tokens.push(LINE_BREAK_TOKEN);
+    }
+    hasLineBreak = false;
+    if (
+      token.type == "Punctuator" &&
+      CLOSING_PUNCTUATORS.includes(token.value) &&
+      tokens.at(-1) == "," &&
+      !ELISION_PUNCTUATORS.includes(tokens.at(-2))
+    ) {
+      tokens.pop();
+    }
+    if (token.type == "StringLiteral") {
+      const quote = token.value[0];
+      tokens.push(
+        `"${token.value.slice(1, -1).replaceAll(`\\${quote}`, quote)}"`,
+      );
+    } else if (token.type == "JSXText") {
+      // Whitespace spanning lines in JSX text gets collapsed anyway:
+      const collapsed = token.value.replace(/\s*\n\s*/g, " ").trim();
+      if (collapsed) {
+        tokens.push(collapsed);
+      }
+    } else {
+      tokens.push(token.value);
+    }
+  }
+  return tokens.join("\n");
+}
+
+/**
+ * Classify how two versions of a file with the given path differ, by
+ * comparing their ASTs (for JS), significant tokens (for TS and JSX) or
+ * parsed values (for JSON). Returns:
+ * - "cosmetic" if they only differ in comments or formatting
+ * - "behavioural" if they differ in any other way
+ * - null if the file isn't one of those types, or doesn't parse
+ */
+export function classifyCodeChange(path, builtText, publishedText) {
+  const extension = path.match(/\.[^./]+$/)?.[0].toLowerCase();
+  let normalize;
+  if (JS_EXTENSIONS.includes(extension)) {
+    normalize = (text) => serializeAst(parseJs(text));
+  } else if (TOKENIZED_EXTENSIONS.includes(extension)) {
+    normalize = (text) => significantTokens(text, false);
+  } else if (JSX_EXTENSIONS.includes(extension)) {
+    normalize = (text) => significantTokens(text, true);
+  } else if (extension == ".json") {
+    // Key order is kept, since it can matter, e.g. in `exports` conditions:
+    normalize = (text) => JSON.stringify(JSON.parse(text));
+  } else {
+    return null;
+  }
+  try {
+    return normalize(builtText) == normalize(publishedText)
+      ? "cosmetic"
+      : "behavioural";
+  } catch {
+    return null;
+  }
+}
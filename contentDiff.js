@@ -0,0 +1,117 @@
+/**
+ * Structured comparison of the contents of two package tarballs (as read by
+ * tarball.js), producing a manifest of every file in either of them.
+ */
+
+import { createHash } from "node:crypto";
+import { createTwoFilesPatch } from "diff";
+
+// Give up on a text diff of a single file after this long:
+const TEXT_DIFF_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Whether a file looks binary, going by whether its start has a null byte in
+ * it, as diff and git do.
+ */
+export function isBinary(bytes) {
+  return bytes.subarray(0, 8000).includes(0);
+}
+
+function describeEntry(entry) {
+  if (!entry) {
+    return null;
+  }
+  const description = {
+    type: entry.type,
+    mode: entry.mode.toString(8).padStart(4, "0"),
+  };
+  if (entry.type == "symlink") {
+    description.target = entry.target;
+  } else {
+    description.size = entry.data.length;
+    description.hash = `sha256-${createHash("sha256")
+      .update(entry.data)
+      .digest("base64")}`;
+  }
+  return description;
+}
+
+/**
+ * Compare the entries of a built tarball against a published one (each as in
+ * the `entries` returned by readTarball). Directories are left out, since
+ * whether a tarball has entries for them varies between packers. Returns an
+ * array, sorted by path, with an entry for each file or symlink like:
+ *
+ *   {
+ *     path: "lib/index.js",
+ *     status: "same" | "changed" | "mode-changed" | "build-only" |
+ *             "published-only",
+ *     built: { // or null if status is "published-only"
+ *       type: "file",
+ *       mode: "0644",
+ *       size: 1234,
+ *       hash: "sha256-...",
+ *     },
+ *     published: { // or null if status is "build-only"
+ *       type: "symlink",
+ *       mode: "0777",
+ *       target: "../src/index.js",
+ *     },
+ *     // For "changed" files that both look like text, unless the diff
+ *     // took too long:
+ *     diff: "--- built/lib/index.js\n+++ published/lib/index.js\n...",
+ *   }
+ *
+ * "mode-changed" means only the permission bits differ.
+ */
+export function diffManifest(builtEntries, publishedEntries) {
+  const paths = new Set(
+    [...builtEntries.keys(), ...publishedEntries.keys()].filter(
+      (path) =>
+        builtEntries.get(path)?.type != "directory" &&
+        publishedEntries.get(path)?.type != "directory",
+    ),
+  );
+  const manifest = [];
+  for (const path of [...paths].sort()) {
+    const builtEntry = builtEntries.get(path);
+    const publishedEntry = publishedEntries.get(path);
+    const built = describeEntry(builtEntry);
+    const published = describeEntry(publishedEntry);
+    const item = { path, status: null, built, published };
+    if (!published) {
+      item.status = "build-only";
+    } else if (!built) {
+      item.status = "published-only";
+    } else if (
+      built.type != published.type ||
+      built.target != published.target ||
+      built.hash != published.hash
+    ) {
+      item.status = "changed";
+      if (
+        built.type == "file" &&
+        published.type == "file" &&
+        !isBinary(builtEntry.data) &&
+        !isBinary(publishedEntry.data)
+      ) {
+        item.diff =
+          createTwoFilesPatch(
+            `built/${path}`,
+            `published/${path}`,
+            builtEntry.data.toString("utf8"),
+            publishedEntry.data.toString("utf8"),
+            undefined,
+            undefined,
+            { timeout: TEXT_DIFF_TIMEOUT_MS },
+          ) ?? null;
+      }
+    } else if (built.mode != published.mode) {
+      item.status = "mode-changed";
+    } else {
+      item.status = "same";
+    }
+    manifest.push(item);
+  }
+  return manifest;
+}
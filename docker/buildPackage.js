@@ -3,12 +3,18 @@ import { promisify } from "node:util";
 import { execFile } from "node:child_process";
 import fs, { existsSync } from "node:fs";
 import { readFile, copyFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { hostname, tmpdir } from "node:os";
+import { startDateBoundRegistry } from "./dateBoundRegistry.js";
+import { detectPublishTooling, emulatePublish } from "./publishEmulation.js";
+import { proxyEnv, startEgressRecorder } from "./egressRecorder.js";
+import { listPackFiles } from "./packList.js";
 
 const scriptArgs = process.argv.slice(2);
 
-if (scriptArgs.length != 4) {
+if (scriptArgs.length != 4 && scriptArgs.length != 5) {
   console.error(
-    "Expected 4 arguments - name, Git repo path, version number, and publication date. Got ",
+    "Expected 4 or 5 arguments - name, Git repo path, version number, publication date, and optionally a JSON object of build hints. Got ",
     scriptArgs.length,
     "arguments: ",
     scriptArgs,
@@ -16,7 +22,35 @@ if (scriptArgs.length != 4) {
   process.exit(1);
 }
 
-const [packageName, gitUrl, version, publishedDate] = scriptArgs;
+const [packageName, gitUrl, version, publishedDate, buildHintsJson] =
+  scriptArgs;
+
+// Extra info about the version from the registry that helps us find the
+// source to build:
+// - gitHead: the commit the version was published from (set automatically by
+//            npm publish, if run from a Git repo)
+// - directory: the version's repository.directory field, i.e. where in a
+//              monorepo the package lives
+// - recipe: overrides for how to build this package, from buildRecipes.js
+//           (see there for details)
+// - phase: "install" or "build" to only do that phase of the build (see below);
+//          omit to do everything in one go
+const buildHints = buildHintsJson ? JSON.parse(buildHintsJson) : {};
+const recipe = buildHints.recipe || {};
+
+// audit.js runs us twice in the same working directory: first to clone the
+// repo and install dependencies, and then, without network access, to build
+// and pack. That way builds can't depend on whatever happens to be on the
+// internet at the time, and we can see which ones try to.
+const isInstallPhase = buildHints.phase != "build";
+const isBuildPhase = buildHints.phase != "install";
+
+/**
+ * Substitute the {name} and {version} placeholders allowed in recipes.
+ */
+function fillPlaceholders(str) {
+  return str.replaceAll("{name}", packageName).replaceAll("{version}", version);
+}
 
 console.log(
   "Attempting to fetch and build version",
@@ -27,7 +61,49 @@ console.log(
   gitUrl,
 );
 
-const buildResult = {};
+// The build phase carries on from the install phase's results:
+const buildResult = isInstallPhase
+  ? { nodeVersion: process.version }
+  : JSON.parse(fs.readFileSync("/home/node/build/buildResult.json"));
+
+function writeBuildResult() {
+  fs.writeFileSync(
+    "/home/node/build/buildResult.json",
+    JSON.stringify(buildResult),
+  );
+}
+
+// Settings that stop builds depending on the timezone, locale or umask of
+// wherever they happen to run. These, plus SOURCE_DATE_EPOCH (see below), get
+// recorded in buildResult.json as `environment`, so a rebuild can use exactly
+// the same ones.
+const FIXED_ENV = { TZ: "UTC", LANG: "C.UTF-8", LC_ALL: "C.UTF-8" };
+const UMASK = 0o022;
+Object.assign(process.env, FIXED_ENV);
+process.umask(UMASK);
+
+// Stop Corepack asking for confirmation before downloading package managers,
+// and have it keep them in the working directory, so that the build phase
+// doesn't need to download them again:
+process.env.COREPACK_ENABLE_DOWNLOAD_PROMPT = "0";
+process.env.COREPACK_HOME ||= `${process.cwd()}/corepack`;
+
+// Likewise for package managers' caches and stores, which are otherwise in the
+// home directory and so don't survive into the build phase. That matters most
+// for Yarn Berry, whose Plug'n'Play loader loads packages straight from its
+// global cache at runtime:
+const CACHE_ENV = {
+  npm_config_cache: "npm-cache",
+  YARN_GLOBAL_FOLDER: "yarn-berry",
+  npm_config_store_dir: "pnpm-store",
+  BUN_INSTALL_CACHE_DIR: "bun-cache",
+};
+for (const [name, dir] of Object.entries(CACHE_ENV)) {
+  process.env[name] ||= `${process.cwd()}/${dir}`;
+}
+
+// Started in the build phase; see below.
+let egressRecorder = null;
 
 async function run(command, options) {
   console.log("Running", command, "with options:", options);
@@ -61,37 +137,106 @@ class BuildFailed extends Error {
   }
 }
 
-// Giant try/catch that all the logic runs in. If we get an error, we stick it
-// in an error.json file.
-try {
+// Scripts each package manager's publish command runs, on top of what its pack
+// command runs, before packing. (npm stopped running `prepublish` on publish in
+// npm 7, and Yarn Berry never ran `prepublishOnly`. Yarn 1 runs `prepare` on
+// publish but not on pack, unlike the others.)
+const PUBLISH_ONLY_SCRIPTS = {
+  npm: ["prepublishOnly"],
+  yarn: ["prepublish", "prepare", "prepublishOnly"],
+  "yarn-berry": ["prepublish"],
+  pnpm: ["prepublishOnly", "prepublish"],
+  bun: ["prepublishOnly"],
+};
+
+// Lockfiles for each package manager we support:
+const LOCKFILES = {
+  npm: ["package-lock.json", "npm-shrinkwrap.json"],
+  yarn: ["yarn.lock"],
+  pnpm: ["pnpm-lock.yaml"],
+  bun: ["bun.lock", "bun.lockb"],
+};
+
+/**
+ * Work out which package manager the repo in the given directory uses, from
+ * its package.json's `packageManager` field if it has one, or else from which
+ * lockfile it has. Returns an object like:
+ *
+ *   {
+ *     name: "npm" | "yarn" | "pnpm" | "bun",
+ *     pin: "pnpm@9.1.0+sha512.abc...", // the packageManager field, if any
+ *     isBerry: false, // whether it's Yarn 2+
+ *     command: ["corepack", "pnpm"], // command prefix for running it
+ *   }
+ *
+ * If the `packageManager` field pins a version, we run that exact version via
+ * Corepack. (Corepack doesn't support Bun, so we always use whatever Bun we
+ * have installed.)
+ */
+function detectPackageManager(dir) {
+  let pin = null;
   try {
-    await git("clone", gitUrl, "gitrepo");
+    pin = JSON.parse(fs.readFileSync(`${dir}/package.json`)).packageManager;
   } catch {
-    throw new BuildFailed("clone failed");
+    // No package.json, or an invalid one. We'll find out soon enough.
   }
-  process.chdir("gitrepo");
-  const repoRoot = process.cwd();
-  const useYarn = existsSync("yarn.lock");
-  const usePnpm = existsSync("pnpm-lock.yaml");
-  const pkgMngr = useYarn ? "yarn" : usePnpm ? "pnpm" : "npm";
-  buildResult.packageManager = pkgMngr;
+  const [pinnedName, pinnedVersion] =
+    typeof pin == "string" ? pin.split("@") : [];
 
-  // Some multi-package monorepos like https://github.com/eslint/js have
-  // individual packages in folders within a /packages/ top-level folder.
-  // We try to detect that here and adjust the build and pack process
-  // accordingly later.
-  let packageSubdir = null; // null means this is NOT a multipackage monorepo
-
-  for (const possibleSubfolderName of [
-    `${repoRoot}/${packageName}`,
-    `${repoRoot}/packages/${packageName}`,
-  ]) {
-    if (existsSync(`${possibleSubfolderName}/package.json`)) {
-      packageSubdir = possibleSubfolderName;
-      break;
+  let name = Object.keys(LOCKFILES).includes(pinnedName) ? pinnedName : null;
+  for (const lockfileOwner of ["bun", "yarn", "pnpm"]) {
+    if (
+      !name &&
+      LOCKFILES[lockfileOwner].some((lockfile) =>
+        existsSync(`${dir}/${lockfile}`),
+      )
+    ) {
+      name = lockfileOwner;
     }
   }
-  if (!packageSubdir && packageName.includes("/")) {
+  name ||= "npm";
+
+  // Yarn 2+ lockfiles have a __metadata section; Yarn 1's don't.
+  let isBerry = false;
+  if (name == "yarn" && pinnedName == "yarn") {
+    isBerry = !pinnedVersion?.startsWith("1.");
+  } else if (name == "yarn") {
+    isBerry =
+      existsSync(`${dir}/.yarnrc.yml`) ||
+      (existsSync(`${dir}/yarn.lock`) &&
+        fs.readFileSync(`${dir}/yarn.lock`, "utf8").includes("__metadata:"));
+  }
+
+  const useCorepack = pinnedName == name && name != "bun";
+  return {
+    name,
+    pin: typeof pin == "string" ? pin : null,
+    isBerry,
+    command: useCorepack ? ["corepack", name] : [name],
+  };
+}
+
+/**
+ * Environment variables that point every package manager we support at the
+ * given registry.
+ */
+function registryEnv(registryUrl) {
+  return {
+    npm_config_registry: registryUrl, // npm, pnpm and Yarn 1
+    BUN_CONFIG_REGISTRY: registryUrl,
+    YARN_NPM_REGISTRY_SERVER: registryUrl, // Yarn 2+
+    // Yarn 2+ refuses to use plain HTTP for hosts not on this list:
+    YARN_UNSAFE_HTTP_WHITELIST: "127.0.0.1",
+  };
+}
+
+/**
+ * Paths (relative to the repo root) where a package might live in a monorepo,
+ * in order of preference.
+ */
+function possibleSubdirs() {
+  const subdirs = [packageName, `packages/${packageName}`];
+  if (packageName.includes("/")) {
     // Example:
     // packageName: @babel/types
     //   namespace: @babel
@@ -102,47 +247,190 @@ try {
     const noAtNs = namespace.replace("@", "");
     const noAtPkgName = packageName.replace("@", "");
 
-    for (const possibleSubfolderName of [
-      `${repoRoot}/${packageName}`,
-      `${repoRoot}/packages/${packageName}`,
-      `${repoRoot}/${subname}`,
-      `${repoRoot}/packages/${subname}`,
-      `${repoRoot}/${noAtPkgName}`,
-      `${repoRoot}/packages/${noAtPkgName}`,
-      `${repoRoot}/${noAtNs}-${subname}`,
+    subdirs.push(
+      subname,
+      `packages/${subname}`,
+      noAtPkgName,
+      `packages/${noAtPkgName}`,
+      `${noAtNs}-${subname}`,
       // Example: @babel/types package lives at
       //          https://github.com/babel/babel/tree/main/packages/babel-types
-      `${repoRoot}/packages/${noAtNs}-${subname}`,
-    ]) {
-      if (existsSync(`${possibleSubfolderName}/package.json`)) {
-        // TODO: We can get this from the registry metadata instead of guessing!
-        packageSubdir = possibleSubfolderName;
-        break;
+      `packages/${noAtNs}-${subname}`,
+    );
+  }
+  return subdirs;
+}
+
+/**
+ * Returns the parsed package.json at the given path (relative to the repo
+ * root) as of the given revision, or null if there isn't a valid one.
+ */
+async function packageJsonAt(rev, path) {
+  try {
+    return JSON.parse((await git("show", `${rev}:${path}`)).stdout);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Search the whole repo history (all branches) for commits where the
+ * package.json for the package we're auditing had its `version` changed to
+ * the version we're auditing. Returns null if there are none; otherwise the
+ * best candidate, which is the latest such commit made before the version was
+ * published (or, failing that, the earliest one after), as an object like:
+ *
+ *   {
+ *     commit: "<hash>",
+ *     date: "<ISO commit date>",
+ *     packageJsonPath: "packages/foo/package.json",
+ *     candidateCount: 1,
+ *     confidence: "high" | "medium" | "low",
+ *   }
+ *
+ * Confidence is "high" if there's exactly one candidate and it was committed
+ * shortly before publication, "low" if it was committed after publication,
+ * and "medium" otherwise.
+ */
+async function findVersionBump() {
+  const packageJsonPaths = buildHints.directory
+    ? [`${buildHints.directory}/package.json`]
+    : [
+        ...possibleSubdirs().map((dir) => `${dir}/package.json`),
+        "package.json",
+      ];
+
+  // Matches a line setting the version, with any dots or pluses in the version
+  // escaped in a way that works in both basic and extended regexes:
+  const escapedVersion = version.replace(/[.+]/g, "[$&]");
+  const versionRegex = `"version"[[:space:]]*:[[:space:]]*"${escapedVersion}"`;
+
+  const candidates = [];
+  for (const packageJsonPath of packageJsonPaths) {
+    let logOutput;
+    try {
+      logOutput = (
+        await git(
+          "log",
+          "--all",
+          "--format=%H %cI",
+          "-G",
+          versionRegex,
+          "--",
+          packageJsonPath,
+        )
+      ).stdout;
+    } catch {
+      continue;
+    }
+    for (const line of logOutput.split("\n").filter(Boolean)) {
+      const [commit, date] = line.split(" ");
+      // -G also matches commits where the version line was removed, or
+      // merely moved, so check the version actually changed to ours:
+      const after = await packageJsonAt(commit, packageJsonPath);
+      const before = await packageJsonAt(`${commit}^`, packageJsonPath);
+      if (
+        after?.name == packageName &&
+        after.version == version &&
+        before?.version != version
+      ) {
+        candidates.push({ commit, date, packageJsonPath });
       }
     }
   }
-  buildResult.subdir = packageSubdir;
+  console.log("Version bump commit candidates:", candidates);
+  if (candidates.length == 0) {
+    return null;
+  }
 
-  if (packageName.startsWith("@types/")) {
+  const publishedTime = Date.parse(publishedDate);
+  const byDate = candidates.sort(
+    (a, b) => Date.parse(a.date) - Date.parse(b.date),
+  );
+  const beforePublish = byDate.filter(
+    (candidate) => Date.parse(candidate.date) <= publishedTime,
+  );
+  const best = beforePublish.length ? beforePublish.pop() : byDate[0];
+
+  const MAX_HIGH_CONFIDENCE_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+  const age = publishedTime - Date.parse(best.date);
+  let confidence = "medium";
+  if (age < 0) {
+    confidence = "low";
+  } else if (candidates.length == 1 && age < MAX_HIGH_CONFIDENCE_AGE) {
+    confidence = "high";
+  }
+
+  return { ...best, candidateCount: candidates.length, confidence };
+}
+
+/**
+ * Try to check out the given commit, fetching it explicitly if it's not
+ * reachable from any branch or tag we cloned (which happens if it was only
+ * ever on a branch that's since been deleted or force-pushed over - GitHub
+ * still serves such commits if asked for them by hash). Returns true on
+ * success.
+ */
+async function checkoutCommit(commit) {
+  try {
+    await git("checkout", commit);
+    return true;
+  } catch {
+    console.log("Couldn't check out", commit, "- will try fetching it");
+  }
+  try {
+    await git("fetch", "origin", commit);
+    await git("checkout", commit);
+    return true;
+  } catch {
+    console.log("Couldn't fetch", commit);
+    return false;
+  }
+}
+
+// Giant try/catch that all the logic runs in. If we get an error, we stick it
+// in an error.json file.
+try {
+  if (isInstallPhase) {
+    try {
+      await git("clone", gitUrl, "gitrepo");
+    } catch {
+      throw new BuildFailed("clone failed");
+    }
+  }
+  process.chdir("gitrepo");
+  const repoRoot = process.cwd();
+
+  if (recipe.id) {
+    buildResult.recipe = recipe.id;
+  }
+  // Recipe env vars apply to every command from here on:
+  Object.assign(process.env, recipe.env);
+
+  if (!isInstallPhase) {
+    // The install phase already checked out the right commit.
+  } else if (packageName.startsWith("@types/")) {
     buildResult.isDefinitelyTyped = true;
-    // @types packages all come from the DefinitelyTyped repo which contains
-    // a bajillion small packages within it.
-    // We just change to the directory for this package (which will have its
-    // own package.json), skip all the other build steps, and pack.
-    process.chdir(packageName.slice(1));
+    buildResult.sourceLocatedBy = "DefinitelyTyped";
+  } else if (buildHints.gitHead && (await checkoutCommit(buildHints.gitHead))) {
+    // Best case: the registry tells us exactly which commit was published.
+    buildResult.sourceLocatedBy = "gitHead";
+    console.log("Checked out gitHead", buildHints.gitHead);
   } else {
-    // Hopefully the Git repo has a tag corresponding to the version we're
-    // auditing... but tag naming conventions are varied, so we've got to try
-    // a lot of possible tag names:
-    let possibleTagNames = [
-      `${packageName}-${version}`,
-      `${packageName}-v${version}`, // Used by yargs-parser
-      `${packageName}@${version}`, // Used by agent-base / proxy-agents
-      `${packageName}/${version}`,
-      version,
-      `v${version}`,
-    ];
-    if (packageName.includes("/")) {
+    // Otherwise, hopefully the Git repo has a tag corresponding to the version
+    // we're auditing... but tag naming conventions are varied, so we've got to
+    // try a lot of possible tag names:
+    let possibleTagNames = recipe.tagPattern
+      ? [recipe.tagPattern].flat().map(fillPlaceholders)
+      : [
+          `${packageName}-${version}`,
+          `${packageName}-v${version}`, // Used by yargs-parser
+          `${packageName}@${version}`, // Used by agent-base / proxy-agents
+          `${packageName}/${version}`,
+          version,
+          `v${version}`,
+        ];
+    if (packageName.includes("/") && !recipe.tagPattern) {
       const subname = packageName.split("/").pop();
       possibleTagNames = [
         `${subname}-${version}`,
@@ -164,12 +452,110 @@ try {
         console.log("stderr:", e.stderr);
       }
     }
-    if (!tagExisted) {
-      console.error("Couldn't find a Git tag matching the npm version");
-      throw new BuildFailed("no tag match");
+    if (tagExisted) {
+      buildResult.tag = tagExisted;
+      buildResult.sourceLocatedBy = "tag";
+      console.log("Checked out", tagExisted);
+    } else {
+      // Last resort: look for the commit where package.json's version was
+      // bumped to the version we're auditing.
+      console.log("Couldn't find a Git tag matching the npm version");
+      const versionBump = await findVersionBump();
+      if (!versionBump) {
+        console.error("Couldn't find a version bump commit either");
+        throw new BuildFailed("no tag match");
+      }
+      await git("checkout", versionBump.commit);
+      buildResult.versionBump = versionBump;
+      buildResult.sourceLocatedBy = "version bump";
+      console.log("Checked out version bump commit", versionBump.commit);
+    }
+  }
+  buildResult.commit = (await git("rev-parse", "HEAD")).stdout.trim();
+
+  // Tools that embed timestamps in their output use SOURCE_DATE_EPOCH instead
+  // of the current time if it's set (see
+  // https://reproducible-builds.org/docs/source-date-epoch/). We set it to
+  // when the commit was made, or failing that when the version was published.
+  if (isInstallPhase) {
+    const commitTime = (await git("log", "-1", "--format=%ct")).stdout.trim();
+    buildResult.environment = {
+      ...FIXED_ENV,
+      SOURCE_DATE_EPOCH:
+        commitTime || String(Math.floor(Date.parse(publishedDate) / 1000)),
+      sourceDateEpochFrom: commitTime ? "commit" : "publish date",
+      umask: UMASK.toString(8).padStart(4, "0"),
+      // audit.js keeps these the same for every build, but they're worth
+      // knowing if output embeds them:
+      workingDirectory: repoRoot,
+      hostname: hostname(),
+    };
+  }
+  process.env.SOURCE_DATE_EPOCH = buildResult.environment.SOURCE_DATE_EPOCH;
+
+  const packageManager = detectPackageManager(repoRoot);
+  const pm = packageManager.command;
+  buildResult.packageManager = packageManager.name;
+  buildResult.packageManagerPin = packageManager.pin;
+  buildResult.packageManagerVia =
+    pm[0] == "corepack" ? "corepack" : "preinstalled";
+  if (isInstallPhase) {
+    try {
+      buildResult.packageManagerVersion = (
+        await run([...pm, "--version"])
+      ).stdout.trim();
+    } catch {
+      // Most likely Corepack couldn't download the pinned version:
+      throw new BuildFailed("package manager unavailable");
+    }
+  }
+
+  // Some multi-package monorepos like https://github.com/eslint/js have
+  // individual packages in folders within a /packages/ top-level folder.
+  // We try to detect that here and adjust the build and pack process
+  // accordingly later.
+  // null means this is NOT a multipackage monorepo. (In the build phase, the
+  // install phase already worked it out.)
+  let packageSubdir = isInstallPhase ? null : buildResult.subdir;
+
+  // Ideally the registry metadata tells us where the package lives. We ignore
+  // it if it points outside the repo or somewhere without a package.json,
+  // though.
+  if (isInstallPhase && buildHints.directory) {
+    const hintedSubdir = resolve(repoRoot, buildHints.directory);
+    if (
+      hintedSubdir.startsWith(`${repoRoot}/`) &&
+      existsSync(`${hintedSubdir}/package.json`)
+    ) {
+      packageSubdir = hintedSubdir;
+      buildResult.subdirLocatedBy = "repository.directory";
+    } else if (hintedSubdir != repoRoot) {
+      console.warn(
+        "Ignoring repository.directory",
+        buildHints.directory,
+        "since it doesn't contain a package.json",
+      );
+    }
+  }
+
+  // Otherwise we have to guess:
+  if (isInstallPhase && !packageSubdir) {
+    for (const possibleSubfolderName of possibleSubdirs()) {
+      if (existsSync(`${repoRoot}/${possibleSubfolderName}/package.json`)) {
+        packageSubdir = `${repoRoot}/${possibleSubfolderName}`;
+        buildResult.subdirLocatedBy = "guess";
+        break;
+      }
     }
-    buildResult.tag = tagExisted;
-    console.log("Checked out", tagExisted);
+  }
+  buildResult.subdir = packageSubdir;
+
+  if (packageName.startsWith("@types/")) {
+    // @types packages all come from the DefinitelyTyped repo which contains
+    // a bajillion small packages within it.
+    // We just change to the directory for this package (which will have its
+    // own package.json), skip all the other build steps, and pack.
+    process.chdir(packageName.slice(1));
   }
 
   const rootPackageJson = JSON.parse(await readFile("package.json"));
@@ -188,27 +574,142 @@ try {
     hasBuilt = true;
   }
 
-  if (!packageName.startsWith("@types/")) {
-    // npm, but not yarn, lets you pass a "--before" argument to only install
-    // dependency versions that were published before a given date. If we're
-    // using npm, let's use that to ensure we build using dep versions that
-    // were available when the published version was built.
-    const beforeDateArgs = pkgMngr == "npm" ? ["--before", publishedDate] : [];
+  // Directory to run install and build commands from, if not the root:
+  const recipeCwd = recipe.cwd
+    ? `${repoRoot}/${fillPlaceholders(recipe.cwd)}`
+    : undefined;
 
-    await run([pkgMngr, "install", ...beforeDateArgs]);
-    if (packageSubdir) {
-      await run([pkgMngr, "install", ...beforeDateArgs], {
-        cwd: packageSubdir,
-      });
+  /**
+   * Work out how to install dependencies in the given directory, returning the
+   * command to run and a description of the install mode:
+   * - "frozen-lockfile": installing exactly what the lockfile says
+   * - "before-date": no lockfile, so using npm's --before option to only
+   *                  install dependency versions that were published before
+   *                  the version we're auditing was
+   * - "date-bounded-proxy": the same, but for package managers without an
+   *                         equivalent option, via a registry proxy that
+   *                         hides newer versions (see dateBoundRegistry.js)
+   */
+  function installCommand(dir) {
+    const lockfiles = LOCKFILES[packageManager.name].filter((lockfile) =>
+      existsSync(`${dir}/${lockfile}`),
+    );
+    if (packageManager.name == "npm") {
+      if (lockfiles.length) {
+        return { command: [...pm, "ci"], mode: "frozen-lockfile" };
+      }
+      return {
+        command: [...pm, "install", "--before", publishedDate],
+        mode: "before-date",
+      };
     }
+    if (lockfiles.length) {
+      // Yarn 2+ ("Berry") has a different name for the same flag:
+      const frozenFlag = packageManager.isBerry
+        ? "--immutable"
+        : "--frozen-lockfile";
+      return {
+        command: [...pm, "install", frozenFlag],
+        mode: "frozen-lockfile",
+      };
+    }
+    return { command: [...pm, "install"], mode: "date-bounded-proxy" };
+  }
 
+  if (!isInstallPhase || packageName.startsWith("@types/")) {
+    // (No installing to do, either because it's already been done or, for
+    // @types packages, because there's no building to do either; see above)
+  } else if (recipe.install) {
+    for (const cmd of recipe.install) {
+      await run(cmd.map(fillPlaceholders), { cwd: recipeCwd });
+    }
+    buildResult.installMode = "recipe";
+  } else {
+    const installDirs = [recipeCwd || repoRoot];
+    if (packageSubdir && !recipeCwd) {
+      installDirs.push(packageSubdir);
+    }
+    const installModes = [];
+    let dateBoundRegistry = null;
+    try {
+      for (const dir of installDirs) {
+        const { command, mode } = installCommand(dir);
+        if (mode == "date-bounded-proxy" && !dateBoundRegistry) {
+          dateBoundRegistry = await startDateBoundRegistry(
+            process.env.npm_config_registry || "https://registry.npmjs.org/",
+            publishedDate,
+          );
+          console.log("Started date-bound registry at", dateBoundRegistry.url);
+        }
+        await run(command, {
+          cwd: dir,
+          env: dateBoundRegistry
+            ? { ...process.env, ...registryEnv(dateBoundRegistry.url) }
+            : process.env,
+        });
+        installModes.push(mode);
+      }
+    } finally {
+      await dateBoundRegistry?.close();
+    }
+    buildResult.installMode = installModes[0];
+    if (installModes[1] && installModes[1] != installModes[0]) {
+      buildResult.subdirInstallMode = installModes[1];
+    }
+  }
+
+  /**
+   * Run the recipe's build commands, if it has any.
+   */
+  async function runRecipeBuild() {
+    for (const cmd of recipe.build) {
+      await run(cmd.map(fillPlaceholders), { cwd: recipeCwd });
+    }
+    buildResult.successfulBuildCommand = recipe.build;
+    buildResult.ranBuildFrom = recipeCwd;
+  }
+
+  // Recipe builds that need network access (e.g. because they install more
+  // dependencies themselves) run at the end of the install phase instead of
+  // in the build phase:
+  if (
+    isInstallPhase &&
+    recipe.build &&
+    recipe.buildOnline &&
+    !packageName.startsWith("@types/")
+  ) {
+    await runRecipeBuild();
+  }
+
+  if (!isBuildPhase) {
+    // That's it for the install phase.
+    writeBuildResult();
+    process.exit(0);
+  }
+
+  // Without network access, build scripts that try to download anything will
+  // fail - but the ones that respect the usual proxy environment variables
+  // will try going through our recorder first, so we can report what they
+  // were after:
+  if (!isInstallPhase) {
+    egressRecorder = await startEgressRecorder();
+    Object.assign(process.env, proxyEnv(egressRecorder.url));
+  }
+
+  if (packageName.startsWith("@types/")) {
+    // (Nothing to build)
+  } else if (recipe.build) {
+    if (!recipe.buildOnline) {
+      await runRecipeBuild();
+    }
+  } else {
     if (
       packageSubdir &&
       subdirPackageJson.scripts &&
       "build" in subdirPackageJson.scripts
     ) {
       try {
-        await attemptBuild([pkgMngr, "run", "build"], packageSubdir);
+        await attemptBuild([...pm, "run", "build"], packageSubdir);
       } catch {
         console.warn(
           "Failed to run build script from package subdir",
@@ -232,30 +733,21 @@ try {
         // First try passing the package name as an argument to the top-level
         // build script. Sometimes they take arguments!
         try {
-          await attemptBuild([pkgMngr, "run", "build", packageName]);
+          await attemptBuild([...pm, "run", "build", packageName]);
         } catch {
           // If that fails, just run it with no arguments. Probably this builds
           // lots of packages and is slow, but if that's the only option, we
           // just have to suck it up.
-          await attemptBuild([pkgMngr, "run", "build"]);
+          await attemptBuild([...pm, "run", "build"]);
         }
       } else {
-        await attemptBuild([pkgMngr, "run", "build"]);
+        await attemptBuild([...pm, "run", "build"]);
       }
     }
   }
 
-  // Special-snowflake logic for the Babel monorepo, which uses Make
-  if (gitUrl === "https://github.com/babel/babel.git") {
-    buildResult.isBabel = true;
-    await attemptBuild(["make", "prepublish"]);
-  }
-
-  // Special-snowflake logic for the React monorepo - this is where it puts
-  // built packages ready to be packed!
-  if (gitUrl === "https://github.com/facebook/react.git") {
-    buildResult.isReact = true;
-    process.chdir(`build/oss-stable-semver/${packageName}`);
+  if (recipe.packDir) {
+    process.chdir(`${repoRoot}/${fillPlaceholders(recipe.packDir)}`);
   } else if (packageSubdir) {
     process.chdir(packageSubdir);
   }
@@ -263,7 +755,7 @@ try {
   // Some libraries (e.g. https://github.com/lydell/js-tokens) generate the
   // package to publish in a /build subdirectory, with its own package.json; we
   // need to change directory into there before running "pack".
-  if (existsSync(`./build/package.json`)) {
+  if (!recipe.packDir && existsSync(`./build/package.json`)) {
     buildResult.isPackedFromBuildDir = true;
     process.chdir("build");
   }
@@ -272,70 +764,143 @@ try {
   // should be used for generating the published version? Clues could be:
   // - "clean-publish" being listed as a dev dependency
   // - there being a "clean-publish" config object at the top level of the JSON
-  const useCleanPublish =
-    rootPackageJson.devDependencies?.["clean-publish"] ||
-    subdirPackageJson?.devDependencies?.["clean-publish"] ||
-    rootPackageJson["clean-publish"] ||
-    subdirPackageJson?.["clean-publish"];
-
+  // (Unless a recipe tells us what to pack with.)
+  const useCleanPublish = recipe.packTool
+    ? recipe.packTool == "clean-publish"
+    : rootPackageJson.devDependencies?.["clean-publish"] ||
+      subdirPackageJson?.devDependencies?.["clean-publish"] ||
+      rootPackageJson["clean-publish"] ||
+      subdirPackageJson?.["clean-publish"];
   buildResult.usesCleanPublish = useCleanPublish;
+  const packTool = useCleanPublish
+    ? "clean-publish"
+    : recipe.packTool || packageManager.name;
 
-  let finalTgz;
-  if (useCleanPublish) {
-    // Awkward case! clean-publish does have a mode that just packs without
-    // publishing, sort of - but rather than compressing the output into a
-    // .tar.gz file, it just leaves it uncompressed in a temporary folder.
-    // To be able to get a tarball, we need to tell it what to call that folder
-    // (so we know where the output will go - otherwise it's randomly named!)
-    // and then compress the output ourselves.
-    const packFolderName = "cleanpublishoutput";
-    await run([
-      "npx",
-      "clean-publish",
-      "--without-publish",
-      "--temp-dir",
-      packFolderName,
-    ]);
-    finalTgz = `${packageName}-${version}.tgz`;
-    await run(["tar", "-czf", finalTgz, packFolderName]);
-  } else {
-    // Normal, simple case, where we just run `npm pack` or `yarn pack` or
-    // whatever.
-    const packResult = await run([pkgMngr, "pack"]);
-    if (useYarn) {
-      // We're looking to find and parse a line like this:
-      //     success Wrote tarball to "/home/mark/react/packages/react-is/react-is-v19.1.0.tgz".
-      // or
-      //     Package archive generated in /home/node/gitrepo/packages/pretty-format/package.tgz
-      // (which format depends on Yarn version).
-      // (In a real terminal it's colored, but yarn omits the colors when not
-      // called from a terminal, so we don't need to deal with that nuisance.)
-      // (Hopefully there will never be multiple lines like that, or we'll get
-      // this wrong!)
-      const match =
-        packResult.stdout.match(/^success Wrote tarball to "(.+)"\.$/m) ||
-        packResult.stdout.match(/Package archive generated in (.+)$/m);
-      if (!match) {
-        console.log(
-          "yarn didn't output tarball name? Output:",
-          packResult.stdout,
-        );
-        throw "couldn't determine tarball name";
-      }
-      finalTgz = match[1].split("/").pop();
+  // Make whatever changes to the package Lerna, pnpm etc. would have made
+  // when publishing it:
+  const publishTooling = detectPublishTooling(repoRoot);
+  if (publishTooling.length) {
+    buildResult.publishTooling = publishTooling;
+    buildResult.publishEmulation = emulatePublish({
+      tools: publishTooling,
+      repoRoot,
+      commit: buildResult.commit,
+      packer: packTool,
+      packerIsBerry: packageManager.isBerry,
+      publisher: packageManager.name,
+      publisherIsBerry: packageManager.isBerry,
+    });
+  }
+
+  /**
+   * Pack the package in the current directory, copy the tarball into the
+   * given subdirectory of the host-bound output folder we set up in the
+   * Dockerfile, and return its path relative to that folder.
+   */
+  async function pack(outputSubdir) {
+    // We pack into an empty directory so that we can find the tarball without
+    // having to parse the name out of the pack command's output:
+    const packDestination = fs.mkdtempSync(`${tmpdir()}/packed-`);
+
+    if (useCleanPublish) {
+      // Awkward case! clean-publish does have a mode that just packs without
+      // publishing, sort of - but rather than compressing the output into a
+      // .tar.gz file, it just leaves it uncompressed in a temporary folder.
+      // To be able to get a tarball, we need to tell it what to call that
+      // folder (so we know where the output will go - otherwise it's randomly
+      // named!) and then compress the output ourselves.
+      const packFolderName = "cleanpublishoutput";
+      await run([
+        "npx",
+        "clean-publish",
+        "--without-publish",
+        "--temp-dir",
+        packFolderName,
+      ]);
+      await run([
+        "tar",
+        "-czf",
+        `${packDestination}/package.tgz`,
+        packFolderName,
+      ]);
+      fs.rmSync(packFolderName, { recursive: true, force: true });
     } else {
-      // TODO: What about pnpm? Does this logic handle pnpm pack properly?
-      // npm pack outputs the name of the .tgz file it creates on stdout (below a
-      // whole load of other output, mostly sent to stderr - though when there are
-      // scripts that run before packing, some may go to stdout too):
-      finalTgz = packResult.stdout.trim().split("\n").pop();
+      // Normal, simple case, where we just run `npm pack` or `yarn pack` or
+      // whatever. (Using the exact package manager version the repo asks for,
+      // via Corepack, if it's the one we're packing with.)
+      const packCmd = packTool == packageManager.name ? pm : [packTool];
+      const packArgs = {
+        npm: ["pack", "--pack-destination", packDestination],
+        pnpm: ["pack", "--pack-destination", packDestination],
+        yarn: packageManager.isBerry
+          ? ["pack", "--out", `${packDestination}/package.tgz`]
+          : ["pack", "--filename", `${packDestination}/package.tgz`],
+        bun: ["pm", "pack", "--destination", packDestination],
+      }[packTool];
+      if (!packArgs) {
+        throw `don't know how to pack with ${packTool}`;
+      }
+      await run([...packCmd, ...packArgs]);
+    }
+
+    const packedFiles = fs
+      .readdirSync(packDestination)
+      .filter((filename) => filename.endsWith(".tgz"));
+    if (packedFiles.length != 1) {
+      throw `expected packing to produce 1 tarball but got ${packedFiles.length}`;
     }
+    const outputPath = outputSubdir
+      ? `${outputSubdir}/${packedFiles[0]}`
+      : packedFiles[0];
+    fs.mkdirSync(`/home/node/build/${outputSubdir || ""}`, { recursive: true });
+    await copyFile(
+      `${packDestination}/${packedFiles[0]}`,
+      `/home/node/build/${outputPath}`,
+    );
+    return outputPath;
   }
 
-  // Move the final tgz to host-bound output folder we set up in the Dockerfile
-  await copyFile(finalTgz, `/home/node/build/${finalTgz}`);
-  buildResult.tarballFilename = finalTgz;
+  // First we do a plain pack, which runs the prepack and postpack scripts
+  // (and, for npm, prepare):
+  buildResult.tarballFilename = await pack();
   console.log("Successfully wrote packed .tgz file to the build directory");
+
+  // Record which files packing should have included and why, so audit.js can
+  // explain mismatches in which files got packed. (After packing, so that we
+  // see anything prepack scripts generated.)
+  try {
+    buildResult.packFileList = listPackFiles(".");
+  } catch (e) {
+    console.error("Couldn't list which files to pack:", e);
+  }
+
+  // But publishing also runs some scripts that packing doesn't, which can
+  // change what gets published (e.g. stamping version numbers into files).
+  // If the package has any, we run them and pack again, stopping short of
+  // actually publishing, so audit.js can compare both tarballs against the
+  // published one:
+  const packageJsonToPack = JSON.parse(await readFile("package.json"));
+  const publishScripts = (
+    PUBLISH_ONLY_SCRIPTS[
+      packTool == "yarn" && packageManager.isBerry ? "yarn-berry" : packTool
+    ] || []
+  ).filter((script) => packageJsonToPack.scripts?.[script]);
+  if (publishScripts.length) {
+    buildResult.publishLifecycleScripts = publishScripts;
+    try {
+      for (const script of publishScripts) {
+        await run([...pm, "run", script]);
+      }
+      buildResult.publishLifecycleTarballFilename =
+        await pack("publish-lifecycle");
+      console.log("Also wrote .tgz file packed with publish lifecycle scripts");
+    } catch {
+      // We've still got the plain-packed tarball to compare, so this doesn't
+      // fail the build:
+      console.error("Publish lifecycle failed; see above");
+      buildResult.publishLifecycleFailed = true;
+    }
+  }
 } catch (e) {
   if (e instanceof BuildFailed) {
     console.error("Build failed due to:", e.errorCode);
@@ -353,7 +918,8 @@ try {
   }
 }
 
-fs.writeFileSync(
-  "/home/node/build/buildResult.json",
-  JSON.stringify(buildResult),
-);
+if (egressRecorder) {
+  buildResult.egressAttempts = egressRecorder.attempts;
+  await egressRecorder.close();
+}
+writeBuildResult();
@@ -0,0 +1,114 @@
+/**
+ * A local npm registry proxy, run inside the build container, that hides
+ * every package version published after a cutoff date. Pointing a package
+ * manager at it makes it resolve dependencies as it would have at that date,
+ * which npm supports natively via `--before` but Yarn and pnpm don't.
+ *
+ * Only packument requests are filtered; anything else (e.g. tarball
+ * downloads) gets redirected to the upstream registry.
+ *
+ * Needs to run on old Node versions, so uses the http/https modules rather
+ * than fetch.
+ */
+
+import http from "node:http";
+import https from "node:https";
+import { Buffer } from "node:buffer";
+
+function get(url, headers) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol == "https:" ? https : http;
+    client
+      .get(url, { headers }, (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            body: Buffer.concat(chunks).toString("utf8"),
+          }),
+        );
+        res.on("error", reject);
+      })
+      .on("error", reject);
+  });
+}
+
+/**
+ * Remove versions published after the cutoff from a packument, along with
+ * dist-tags pointing to them. If `latest` gets removed, it's pointed instead
+ * at the most recently published remaining non-prerelease version. Versions
+ * with no publication time recorded are kept, since we can't tell.
+ */
+function filterPackument(packument, cutoff) {
+  const time = packument.time || {};
+  const isRemoved = (version) =>
+    time[version] && Date.parse(time[version]) > cutoff;
+
+  for (const version of Object.keys(packument.versions || {})) {
+    if (isRemoved(version)) {
+      delete packument.versions[version];
+      delete time[version];
+    }
+  }
+  const distTags = packument["dist-tags"] || {};
+  for (const [tag, version] of Object.entries(distTags)) {
+    if (!(version in (packument.versions || {}))) {
+      delete distTags[tag];
+    }
+  }
+  if (!distTags.latest) {
+    const [newLatest] = Object.keys(packument.versions || {})
+      .filter((version) => !version.includes("-"))
+      .sort((a, b) => Date.parse(time[b] || 0) - Date.parse(time[a] || 0));
+    if (newLatest) {
+      distTags.latest = newLatest;
+    }
+  }
+  return packument;
+}
+
+/**
+ * Start the proxy. Resolves to an object with the proxy's `url` and a `close`
+ * function for stopping it.
+ */
+export async function startDateBoundRegistry(upstreamUrl, cutoffDate) {
+  const cutoff = Date.parse(cutoffDate);
+  const upstream = new URL(
+    upstreamUrl.endsWith("/") ? upstreamUrl : `${upstreamUrl}/`,
+  );
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url.replace(/^\//, ""), upstream);
+    if (req.method != "GET" || url.pathname.includes("/-/")) {
+      res.writeHead(302, { location: url.href });
+      res.end();
+      return;
+    }
+    try {
+      // Always ask for the full packument, since the abbreviated one package
+      // managers usually ask for doesn't include publication times:
+      const upstreamResp = await get(url, { accept: "application/json" });
+      if (upstreamResp.status != 200) {
+        res.writeHead(upstreamResp.status, {
+          "content-type": "application/json",
+        });
+        res.end(upstreamResp.body);
+        return;
+      }
+      const packument = filterPackument(JSON.parse(upstreamResp.body), cutoff);
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify(packument));
+    } catch (e) {
+      console.error("Date-bound registry failed to proxy", url.href, e);
+      res.writeHead(502);
+      res.end();
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * A local HTTP(S) proxy, run inside the build container during the build
+ * phase, that refuses every request but records what was asked for. Since
+ * the build phase has no network access, this is how we find out what (if
+ * anything) a build tried to download.
+ *
+ * Only sees traffic from tools that respect the usual proxy environment
+ * variables; anything else just fails to connect, unrecorded.
+ */
+
+import http from "node:http";
+
+// Stop recording new destinations after this many, in case something retries
+// in a loop with different URLs:
+const MAX_RECORDED = 100;
+
+/**
+ * Environment variables that send every tool we know of through the proxy
+ * with the given URL.
+ */
+export function proxyEnv(proxyUrl) {
+  return {
+    HTTP_PROXY: proxyUrl,
+    HTTPS_PROXY: proxyUrl,
+    http_proxy: proxyUrl,
+    https_proxy: proxyUrl,
+    npm_config_proxy: proxyUrl, // npm, pnpm and Yarn 1
+    npm_config_https_proxy: proxyUrl,
+    YARN_HTTP_PROXY: proxyUrl, // Yarn 2+
+    YARN_HTTPS_PROXY: proxyUrl,
+    NODE_USE_ENV_PROXY: "1", // Makes Node 24+'s fetch use the proxy
+    NO_PROXY: "",
+    no_proxy: "",
+  };
+}
+
+/**
+ * Start the proxy. Resolves to an object with the proxy's `url`, a `close`
+ * function for stopping it, and an `attempts` array that gets an entry like
+ * this for each distinct destination requested:
+ *
+ *   {
+ *     method: "GET", // or "CONNECT" for HTTPS, in which case we only get to
+ *                    // see the host and port
+ *     target: "http://example.com/install.sh",
+ *     count: 2,
+ *   }
+ */
+export async function startEgressRecorder() {
+  const attempts = [];
+  function record(method, target) {
+    const existing = attempts.find(
+      (attempt) => attempt.method == method && attempt.target == target,
+    );
+    if (existing) {
+      existing.count++;
+    } else if (attempts.length < MAX_RECORDED) {
+      attempts.push({ method, target, count: 1 });
+    }
+    console.log("Blocked network access during build:", method, target);
+  }
+
+  const server = http.createServer((req, res) => {
+    record(req.method, req.url);
+    res.writeHead(403, { "content-type": "text/plain" });
+    res.end("Network access is disabled during the build phase");
+  });
+  server.on("connect", (req, socket) => {
+    record("CONNECT", req.url);
+    socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    attempts,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
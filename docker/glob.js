@@ -0,0 +1,30 @@
+/**
+ * Minimal glob matching, as used in knownMismatches.js, buildRecipes.js and
+ * (for `files` and ignore file patterns) packList.js. Lives with the build
+ * scripts so that packList.js can use it inside the container.
+ */
+
+/**
+ * Convert a glob to a RegExp. `*` matches anything except a slash, `**`
+ * matches anything (and `**\/` matches zero or more whole directories), and
+ * `?` matches any single character except a slash.
+ */
+export function globToRegExp(glob) {
+  let regexSource = "";
+  for (let i = 0; i < glob.length; i++) {
+    if (glob.startsWith("**/", i)) {
+      regexSource += "(?:.*/)?";
+      i += 2;
+    } else if (glob.startsWith("**", i)) {
+      regexSource += ".*";
+      i += 1;
+    } else if (glob[i] == "*") {
+      regexSource += "[^/]*";
+    } else if (glob[i] == "?") {
+      regexSource += "[^/]";
+    } else {
+      regexSource += glob[i].replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${regexSource}$`);
+}
@@ -0,0 +1,241 @@
+/**
+ * Works out which files packing the package in a directory should include,
+ * and why, following the rules npm documents at
+ * https://docs.npmjs.com/cli/v10/configuring-npm/package-json#files (which
+ * pnpm, Yarn and Bun broadly share). This doesn't decide what gets packed -
+ * the package manager does that - but explains it, so that audit.js can tell
+ * which mismatches are down to packaging rules rather than file contents.
+ */
+
+import fs from "node:fs";
+import { globToRegExp } from "./glob.js";
+
+// Files in the package root that npm includes whatever `files` and ignore
+// files say:
+const ALWAYS_INCLUDED_REGEX =
+  /^(package\.json|(readme|licen[sc]e|copying)(\..*)?)$/i;
+
+// Files and directories that npm never includes, at any depth:
+const ALWAYS_EXCLUDED_NAMES = [
+  ".git",
+  ".svn",
+  ".hg",
+  "CVS",
+  "node_modules",
+  ".npmrc",
+  ".DS_Store",
+  "npm-debug.log",
+  ".npmignore",
+  ".gitignore",
+];
+const ALWAYS_EXCLUDED_REGEX = /^(\..*\.swp|\._.*|.*\.orig)$/;
+
+// Files that npm never includes from the package root:
+const ALWAYS_EXCLUDED_ROOT_FILES = [
+  "package-lock.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  ".lock-wscript",
+];
+
+/**
+ * Convert a gitignore-style pattern (as used in .npmignore, .gitignore and
+ * package.json's `files`) to a RegExp matched against paths relative to the
+ * directory the pattern applies to.
+ */
+function patternToRegExp(pattern, isFilesField) {
+  // In ignore files, patterns without a slash (other than a trailing one)
+  // match at any depth, but `files` patterns are always relative to the root:
+  const isAnchored = isFilesField || pattern.replace(/\/$/, "").includes("/");
+  const glob = pattern.replace(/^\.?\//, "").replace(/\/$/, "");
+  return globToRegExp(isAnchored ? glob : `**/${glob}`);
+}
+
+/**
+ * Parse the lines of an ignore file, or the entries of `files`, into rules
+ * like `{ pattern, regex, isNegated, isDirOnly }`.
+ */
+function parsePatterns(patterns, isFilesField = false) {
+  return patterns
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      const isNegated = line.startsWith("!");
+      const pattern = isNegated ? line.slice(1) : line;
+      return {
+        pattern: line,
+        regex: patternToRegExp(pattern, isFilesField),
+        isNegated,
+        isDirOnly: pattern.endsWith("/"),
+      };
+    });
+}
+
+/**
+ * Find the last of the given rules that matches a path (or, for `files`, one
+ * of the directories it's in), which is the one that decides whether it's
+ * included.
+ */
+function lastMatchingRule(rules, path, isDir, matchParents) {
+  const candidates = [{ path, isDir }];
+  if (matchParents) {
+    const parts = path.split("/");
+    for (let i = 1; i < parts.length; i++) {
+      candidates.push({ path: parts.slice(0, i).join("/"), isDir: true });
+    }
+  }
+  let match = null;
+  for (const rule of rules) {
+    if (
+      candidates.some(
+        (candidate) =>
+          (candidate.isDir || !rule.isDirOnly) &&
+          rule.regex.test(candidate.path),
+      )
+    ) {
+      match = rule;
+    }
+  }
+  return match;
+}
+
+/**
+ * Whether a path is included by the given `files` field of a package.json.
+ * Returns the pattern that includes it, or null.
+ */
+export function matchFilesField(files, path) {
+  if (!Array.isArray(files)) {
+    return null;
+  }
+  const rule = lastMatchingRule(parsePatterns(files, true), path, false, true);
+  return rule && !rule.isNegated ? rule.pattern : null;
+}
+
+/**
+ * List every file in the package in the given directory, along with whether
+ * packing it should include it and why. Returns an array of entries like:
+ *
+ *   {
+ *     path: "dist/index.js", // or e.g. "node_modules/" for an excluded
+ *                            // directory we didn't look inside
+ *     included: true,
+ *     reason: "files" | "always-included" | "main" | "bin" | "default" |
+ *             "always-excluded" | "ignore-file" | "not-in-files",
+ *     rule: "dist", // the pattern or filename that decided it, if any
+ *     ruleSource: ".npmignore", // where that came from, for "ignore-file",
+ *                               // e.g. "src/.npmignore"
+ *   }
+ *
+ * Only the root .npmignore or .gitignore is skipped when there's a `files`
+ * field; ones in subdirectories still apply.
+ */
+export function listPackFiles(dir) {
+  const packageJson = JSON.parse(
+    fs.readFileSync(`${dir}/package.json`, "utf8"),
+  );
+  const filesRules = Array.isArray(packageJson.files)
+    ? parsePatterns(packageJson.files, true)
+    : null;
+  const entryPoints = {
+    main: [packageJson.main || "index.js"],
+    bin: Object.values(
+      typeof packageJson.bin == "string"
+        ? { bin: packageJson.bin }
+        : packageJson.bin || {},
+    ),
+  };
+  const normalizePath = (path) =>
+    typeof path == "string" ? path.replace(/^\.\//, "") : path;
+
+  const list = [];
+  function decide(path, name, isDir, isRoot, ignoreRuleSets) {
+    if (
+      ALWAYS_EXCLUDED_NAMES.includes(name) ||
+      ALWAYS_EXCLUDED_REGEX.test(name) ||
+      (isRoot && !isDir && ALWAYS_EXCLUDED_ROOT_FILES.includes(name))
+    ) {
+      return { included: false, reason: "always-excluded", rule: name };
+    }
+    if (isRoot && !isDir && ALWAYS_INCLUDED_REGEX.test(name)) {
+      return { included: true, reason: "always-included", rule: name };
+    }
+    for (const [field, paths] of Object.entries(entryPoints)) {
+      if (!isDir && paths.map(normalizePath).includes(path)) {
+        return { included: true, reason: field, rule: path };
+      }
+    }
+    // Every applicable ignore file gets a say, with nested ones taking
+    // precedence:
+    let ignoreMatch = null;
+    for (const { base, source, rules } of ignoreRuleSets) {
+      const rule = lastMatchingRule(
+        rules,
+        base ? path.slice(base.length + 1) : path,
+        isDir,
+        false,
+      );
+      if (rule) {
+        ignoreMatch = { rule, source };
+      }
+    }
+    if (ignoreMatch && !ignoreMatch.rule.isNegated) {
+      return {
+        included: false,
+        reason: "ignore-file",
+        rule: ignoreMatch.rule.pattern,
+        ruleSource: ignoreMatch.source,
+      };
+    }
+    // Directories can hold files that `files` matches even if they don't
+    // match themselves, so we only apply it to files:
+    if (filesRules && !isDir) {
+      const rule = lastMatchingRule(filesRules, path, false, true);
+      return rule && !rule.isNegated
+        ? { included: true, reason: "files", rule: rule.pattern }
+        : {
+            included: false,
+            reason: "not-in-files",
+            rule: rule?.pattern || null,
+          };
+    }
+    return { included: true, reason: "default", rule: null };
+  }
+
+  function walk(relDir, ignoreRuleSets) {
+    const absDir = relDir ? `${dir}/${relDir}` : dir;
+    const entries = fs.readdirSync(absDir, { withFileTypes: true });
+    const ignoreFile = [".npmignore", ".gitignore"].find((filename) =>
+      entries.some((entry) => entry.name == filename && entry.isFile()),
+    );
+    if (ignoreFile && !(relDir == "" && filesRules)) {
+      ignoreRuleSets = [
+        ...ignoreRuleSets,
+        {
+          base: relDir,
+          source: relDir ? `${relDir}/${ignoreFile}` : ignoreFile,
+          rules: parsePatterns(
+            fs.readFileSync(`${absDir}/${ignoreFile}`, "utf8").split(/\r?\n/),
+          ),
+        },
+      ];
+    }
+    for (const entry of entries.sort((a, b) => (a.name < b.name ? -1 : 1))) {
+      const path = relDir ? `${relDir}/${entry.name}` : entry.name;
+      const isDir = entry.isDirectory();
+      const decision = decide(
+        path,
+        entry.name,
+        isDir,
+        relDir == "",
+        ignoreRuleSets,
+      );
+      if (isDir && decision.included) {
+        walk(path, ignoreRuleSets);
+      } else {
+        list.push({ path: isDir ? `${path}/` : path, ...decision });
+      }
+    }
+  }
+  walk("", []);
+  return list;
+}
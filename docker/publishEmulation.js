@@ -0,0 +1,218 @@
+/**
+ * Emulation of what monorepo publish tooling (Lerna, Changesets, Nx release,
+ * and pnpm/Yarn workspaces generally) does to a package between packing and
+ * publishing, so that we can pack something closer to what actually got
+ * published without having to actually publish anything.
+ */
+
+import process from "node:process";
+import fs, { existsSync } from "node:fs";
+
+// Dependency fields in which workspaces can use `workspace:` ranges:
+const DEPENDENCY_FIELDS = [
+  "dependencies",
+  "devDependencies",
+  "optionalDependencies",
+  "peerDependencies",
+];
+
+// Fields that pnpm and Yarn Berry copy from `publishConfig` to the top level
+// of package.json when packing:
+export const PUBLISH_CONFIG_OVERRIDABLE_FIELDS = [
+  "bin",
+  "browser",
+  "exports",
+  "main",
+  "module",
+  "types",
+  "typings",
+  "typesVersions",
+];
+
+const LICENSE_FILE_REGEX = /^licen[sc]e(\.|$)/i;
+
+function readJson(path) {
+  try {
+    return JSON.parse(fs.readFileSync(path, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Work out which monorepo publish tools the repo in the given directory uses,
+ * returning an array of any of "lerna", "changesets", "nx-release" and
+ * "workspaces".
+ */
+export function detectPublishTooling(repoRoot) {
+  const tools = [];
+  if (existsSync(`${repoRoot}/lerna.json`)) {
+    tools.push("lerna");
+  }
+  if (existsSync(`${repoRoot}/.changeset/config.json`)) {
+    tools.push("changesets");
+  }
+  if (readJson(`${repoRoot}/nx.json`)?.release) {
+    tools.push("nx-release");
+  }
+  if (
+    existsSync(`${repoRoot}/pnpm-workspace.yaml`) ||
+    readJson(`${repoRoot}/package.json`)?.workspaces
+  ) {
+    tools.push("workspaces");
+  }
+  return tools;
+}
+
+/**
+ * Find the name and version of every package in the repo, keyed by name.
+ * Rather than parse the workspace globs of every tool out there, we just count
+ * every package.json outside node_modules as a workspace package.
+ */
+function workspaceVersions(repoRoot) {
+  const versions = {};
+  function walk(dir, depth) {
+    const packageJson = readJson(`${dir}/package.json`);
+    if (packageJson?.name && packageJson.version) {
+      versions[packageJson.name] ??= packageJson.version;
+    }
+    if (depth == 0) {
+      return;
+    }
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (
+        entry.isDirectory() &&
+        entry.name != "node_modules" &&
+        !entry.name.startsWith(".")
+      ) {
+        walk(`${dir}/${entry.name}`, depth - 1);
+      }
+    }
+  }
+  walk(repoRoot, 4);
+  return versions;
+}
+
+/**
+ * Turn a `workspace:` range into the range it gets published as, following
+ * https://pnpm.io/workspaces#publishing-workspace-packages (which Yarn Berry
+ * and Lerna also follow). Returns null if we can't tell.
+ */
+function resolveWorkspaceRange(range, packageName, versions) {
+  let spec = range.slice("workspace:".length);
+  // Aliases, like `workspace:foo@*`:
+  const aliasMatch = spec.match(/^(@?[^@]+)@(.*)$/);
+  if (aliasMatch) {
+    [, packageName, spec] = aliasMatch;
+  }
+  const version = versions[packageName];
+  if (["*", "^", "~"].includes(spec)) {
+    if (!version) {
+      return null;
+    }
+    const resolved = spec == "*" ? version : `${spec}${version}`;
+    return aliasMatch ? `npm:${packageName}@${resolved}` : resolved;
+  }
+  // A relative path, which we'd need to look up the version of:
+  if (spec.startsWith(".") || spec.startsWith("/")) {
+    return null;
+  }
+  return aliasMatch ? `npm:${packageName}@${spec}` : spec;
+}
+
+/**
+ * Modify the package in the current directory the way its publish tooling
+ * would have before publishing it. Arguments:
+ * - tools: as returned by detectPublishTooling
+ * - repoRoot: the root of the repo
+ * - commit: the commit we're building from
+ * - packer: the package manager we're about to pack with ("npm", "yarn",
+ *           "pnpm", "bun" or "clean-publish")
+ * - packerIsBerry: whether that's Yarn 2+
+ * - publisher: the package manager a real publish would have gone through
+ * - publisherIsBerry: whether that's Yarn 2+
+ *
+ * Returns an array of the emulation steps that changed something, out of:
+ * - "workspace-protocol": rewriting `workspace:` dependency ranges to real
+ *                         ranges, which pnpm, Yarn Berry and Lerna do, but
+ *                         npm and Yarn 1 don't
+ * - "publish-config": copying `publishConfig` overrides to the top level, as
+ *                     pnpm and Yarn Berry do, if they'd have published the
+ *                     package but aren't what we're packing it with
+ * - "git-head": adding the commit hash as `gitHead`, as Lerna does
+ * - "root-license": copying the repo's root LICENSE file into a package that
+ *                   lacks one, as Lerna does
+ */
+export function emulatePublish({
+  tools,
+  repoRoot,
+  commit,
+  packer,
+  packerIsBerry,
+  publisher,
+  publisherIsBerry,
+}) {
+  const applied = [];
+  const packageJson = readJson("package.json");
+  if (!packageJson) {
+    return applied;
+  }
+  const rewritesOnPack = (pm, isBerry) =>
+    pm == "pnpm" || (pm == "yarn" && isBerry);
+
+  if (!rewritesOnPack(packer, packerIsBerry)) {
+    let versions;
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const [name, range] of Object.entries(packageJson[field] || {})) {
+        if (typeof range != "string" || !range.startsWith("workspace:")) {
+          continue;
+        }
+        versions ||= workspaceVersions(repoRoot);
+        const resolved = resolveWorkspaceRange(range, name, versions);
+        if (resolved) {
+          packageJson[field][name] = resolved;
+          if (!applied.includes("workspace-protocol")) {
+            applied.push("workspace-protocol");
+          }
+        }
+      }
+    }
+
+    if (
+      rewritesOnPack(publisher, publisherIsBerry) &&
+      packageJson.publishConfig
+    ) {
+      for (const field of PUBLISH_CONFIG_OVERRIDABLE_FIELDS) {
+        if (field in packageJson.publishConfig) {
+          packageJson[field] = packageJson.publishConfig[field];
+          if (!applied.includes("publish-config")) {
+            applied.push("publish-config");
+          }
+        }
+      }
+    }
+  }
+
+  if (tools.includes("lerna")) {
+    if (commit && !packageJson.gitHead) {
+      packageJson.gitHead = commit;
+      applied.push("git-head");
+    }
+    const hasLicense = (dir) =>
+      fs.readdirSync(dir).some((filename) => LICENSE_FILE_REGEX.test(filename));
+    if (process.cwd() != repoRoot && !hasLicense(".")) {
+      const rootLicense = fs
+        .readdirSync(repoRoot)
+        .find((filename) => LICENSE_FILE_REGEX.test(filename));
+      if (rootLicense) {
+        fs.copyFileSync(`${repoRoot}/${rootLicense}`, rootLicense);
+        applied.push("root-license");
+      }
+    }
+  }
+
+  if (applied.some((step) => step != "root-license")) {
+    fs.writeFileSync("package.json", JSON.stringify(packageJson, null, 2));
+  }
+  return applied;
+}
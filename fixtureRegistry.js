@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * A tiny stand-in for the npm registry that serves packuments and tarballs
+ * from a fixture directory on disk, so that audits can run without network
+ * access to a real registry.
+ *
+ * The fixture directory is laid out like this:
+ *
+ *   <fixtureDir>/<packageName>/packument.json
+ *   <fixtureDir>/<packageName>/-/<tarball filename>.tgz
+ *   <fixtureDir>/<packageName>/attestations/<version>.json (optional)
+ *
+ * e.g. <fixtureDir>/@babel/core/-/core-7.28.0.tgz. The dist.tarball and
+ * dist.attestations.url URLs in the packuments can point anywhere (e.g. they
+ * can be copied verbatim from registry.npmjs.org); we rewrite them on the fly
+ * to point at this server.
+ *
+ * Can be used from audit.js via the --offline=<fixtureDir> option, or run
+ * standalone with:
+ *
+ *   ./fixtureRegistry.js <fixtureDir> [port]
+ */
+
+import process from "node:process";
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+
+/**
+ * Start serving the given fixture directory. Resolves to an object with the
+ * base `url` of the registry and a `close` function for stopping it.
+ * Pass port 0 (the default) to listen on any free port.
+ */
+export async function startFixtureRegistry(fixtureDir, port = 0) {
+  let baseUrl;
+
+  const server = createServer(async (req, res) => {
+    function notFound() {
+      res.writeHead(404, { "content-type": "application/json" });
+      res.end(JSON.stringify({ error: "Not found" }));
+    }
+
+    // Scoped package names arrive with their slash escaped, e.g. @babel%2fcore
+    let path;
+    try {
+      path = decodeURIComponent(new URL(req.url, baseUrl).pathname).slice(1);
+    } catch {
+      // Malformed percent-encoding, so it can't name anything we have.
+      notFound();
+      return;
+    }
+    const segments = path.split("/");
+    if (
+      req.method != "GET" ||
+      segments.some((seg) => seg == "" || seg == "." || seg == "..")
+    ) {
+      notFound();
+      return;
+    }
+
+    const attestationsMatch = path.match(
+      /^-\/npm\/v1\/attestations\/(@?[^@]+)@(.+)$/,
+    );
+    try {
+      if (attestationsMatch) {
+        const [, packageName, version] = attestationsMatch;
+        const attestations = await readFile(
+          `${fixtureDir}/${packageName}/attestations/${version}.json`,
+        );
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(attestations);
+      } else if (path.includes("/-/")) {
+        const [packageName, tarballFilename] = path.split("/-/");
+        const tarball = await readFile(
+          `${fixtureDir}/${packageName}/-/${tarballFilename}`,
+        );
+        res.writeHead(200, { "content-type": "application/octet-stream" });
+        res.end(tarball);
+      } else {
+        const packument = JSON.parse(
+          await readFile(`${fixtureDir}/${path}/packument.json`),
+        );
+        for (const versionJson of Object.values(packument.versions || {})) {
+          if (versionJson.dist?.tarball) {
+            const tarballFilename = versionJson.dist.tarball.split("/").pop();
+            versionJson.dist.tarball = `${baseUrl}${path}/-/${tarballFilename}`;
+          }
+          if (versionJson.dist?.attestations?.url) {
+            versionJson.dist.attestations.url = `${baseUrl}-/npm/v1/attestations/${path}@${versionJson.version}`;
+          }
+        }
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify(packument));
+      }
+    } catch (e) {
+      if (e.code == "ENOENT") {
+        notFound();
+      } else {
+        res.writeHead(500);
+        res.end(e.message);
+      }
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/`;
+
+  return {
+    url: baseUrl,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+if (process.argv[1] === import.meta.filename) {
+  const [fixtureDir, port] = process.argv.slice(2);
+  if (!fixtureDir) {
+    console.error("Usage: ./fixtureRegistry.js <fixtureDir> [port]");
+    process.exit(1);
+  }
+  const { url } = await startFixtureRegistry(fixtureDir, Number(port) || 0);
+  console.log("Serving", fixtureDir, "as an npm registry at", url);
+}
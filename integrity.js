@@ -0,0 +1,128 @@
+/**
+ * Utils for checking a downloaded tarball is the one the registry says was
+ * published, using the hashes and signatures in the version's `dist` metadata.
+ */
+
+import { Buffer } from "node:buffer";
+import { createHash, verify } from "node:crypto";
+import { readFile } from "node:fs/promises";
+
+// Hash algorithms allowed in SRI strings that we know how to check:
+const SRI_ALGORITHMS = ["sha512", "sha384", "sha256", "sha1"];
+
+/**
+ * Read registry signing keys from a file in the same format as the npm
+ * registry's https://registry.npmjs.org/-/npm/v1/keys endpoint, i.e. like:
+ *
+ *   {
+ *     "keys": [
+ *       {
+ *         "expires": null,
+ *         "keyid": "SHA256:jl3bwswu80PjjokCgh0o2w5c2U4LhQAE57gj9cz1kzA",
+ *         "keytype": "ecdsa-sha2-nistp256",
+ *         "scheme": "ecdsa-sha2-nistp256",
+ *         "key": "MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE..."
+ *       }
+ *     ]
+ *   }
+ */
+export async function loadRegistryKeys(path) {
+  return JSON.parse(await readFile(path)).keys;
+}
+
+/**
+ * Check the bytes of a tarball against a version's `dist` metadata from the
+ * packument: its `integrity` (SRI) and `shasum` hashes, and, if we've got the
+ * registry's keys, its `signatures`. Returns an object like:
+ *
+ *   {
+ *     problems: ["dist.integrity sha512 hash doesn't match"], // empty if OK
+ *     integrity: "sha512-...", // SRI hash of the bytes we actually got
+ *     shasum: "...", // SHA-1 of the bytes we actually got, in hex
+ *     signatures: "verified" | "failed" | "unsigned" | "no keys",
+ *   }
+ *
+ * A signature that doesn't verify (or is by a key we don't have, or one that
+ * had expired by publication) is a problem, but a version without signatures
+ * isn't, since older versions predate the registry signing things.
+ */
+export function verifyTarball(
+  bytes,
+  packageName,
+  version,
+  dist,
+  publishedAt,
+  registryKeys = null,
+) {
+  const problems = [];
+  const digest = (algorithm, encoding) =>
+    createHash(algorithm).update(bytes).digest(encoding);
+
+  // There can be several space-separated hashes in an SRI string; we check
+  // every one we can:
+  let checkedIntegrity = false;
+  for (const sri of (dist.integrity || "").split(/\s+/).filter(Boolean)) {
+    const [, algorithm, expected] = sri.match(/^(\w+)-([^?]+)/) || [];
+    if (!SRI_ALGORITHMS.includes(algorithm)) {
+      continue;
+    }
+    checkedIntegrity = true;
+    if (digest(algorithm, "base64") != expected) {
+      problems.push(`dist.integrity ${algorithm} hash doesn't match`);
+    }
+  }
+  if (dist.integrity && !checkedIntegrity) {
+    problems.push(`dist.integrity has no hash we can check: ${dist.integrity}`);
+  }
+
+  const shasum = digest("sha1", "hex");
+  if (dist.shasum && dist.shasum.toLowerCase() != shasum) {
+    problems.push("dist.shasum doesn't match");
+  }
+  if (!dist.integrity && !dist.shasum) {
+    problems.push("dist has neither integrity nor shasum to check against");
+  }
+
+  // The registry signs `<name>@<version>:<integrity>`, so the signature only
+  // means anything if the integrity hash was checked above:
+  let signatures = "unsigned";
+  if (dist.signatures?.length && !registryKeys) {
+    signatures = "no keys";
+  } else if (dist.signatures?.length) {
+    const problemCountBefore = problems.length;
+    const signedData = `${packageName}@${version}:${dist.integrity}`;
+    for (const { keyid, sig } of dist.signatures) {
+      const key = registryKeys.find((key) => key.keyid == keyid);
+      if (!key) {
+        problems.push(`signed with unknown key ${keyid}`);
+      } else if (
+        key.expires &&
+        publishedAt &&
+        Date.parse(key.expires) < Date.parse(publishedAt)
+      ) {
+        problems.push(`signed with key ${keyid}, which expired before publish`);
+      } else if (
+        !verify(
+          "sha256",
+          Buffer.from(signedData),
+          {
+            key: Buffer.from(key.key, "base64"),
+            format: "der",
+            type: "spki",
+          },
+          Buffer.from(sig, "base64"),
+        )
+      ) {
+        problems.push(`signature by key ${keyid} doesn't verify`);
+      }
+    }
+    signatures = problems.length > problemCountBefore ? "failed" : "verified";
+  }
+
+  return {
+    problems,
+    integrity: `sha512-${digest("sha512", "base64")}`,
+    shasum,
+    signatures,
+  };
+}
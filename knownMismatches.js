@@ -1,44 +1,120 @@
-export default {
-  // Published version contains a licensing comment and some sponsorship info
-  // in package.json that is missing from the source. Inconsequential.
-  "safe-buffer": ["5.2.1"],
+/**
+ * Rules describing known-benign differences between what we build from source
+ * and what's published on npm. See mismatchRules.js for how they're applied.
+ *
+ * Each rule has:
+ * - id: a short unique name, recorded in results against each file it excuses
+ * - package: glob matched against the package name (optional; default any)
+ * - versions: semver range the rule applies to (optional; default any)
+ * - path: glob, or array of globs, matched against the path of the changed
+ *         file within the package (optional; default any)
+ * - change: "published-only", "build-only" or "change", or an array of those
+ *           (optional; default any)
+ * - reason: human-readable explanation of why the difference is benign
+ * - link: URL with more context (optional)
+ *
+ * In globs, `*` matches anything except a slash and `**` matches anything.
+ *
+ * A rule with neither `path` nor `change` whitelists every difference in the
+ * matching versions. Such "whole-version" rules should always name exact
+ * versions, and an audit fails if content matches despite one applying, so we
+ * notice when they're no longer needed.
+ *
+ * Whole-version rules should also have an `acceptedDiff`: a fingerprint of the
+ * differences that were reviewed and accepted, as an array of
+ * `{ type, path, built, published }` objects where `built` and `published`
+ * are hashes of that path's content (or null where it's absent). If the diff
+ * ever grows beyond that - a new file differs, or a file differs in a new way
+ * - the audit counts as a real mismatch, so that the rule gets re-checked.
+ * Until a rule has an acceptedDiff, the versions it applies to get flagged as
+ * needing review (`acceptedDiffStatus: "unrecorded"`, which `./audit
+ * needs-review` re-audits), and the audit log and results.json include the
+ * current fingerprint (as `diffFingerprint`) to review and paste in.
+ */
+export default [
+  // General rules that apply to any package:
+  {
+    id: "changelog-npmignore",
+    path: ["CHANGELOG.md", ".npmignore"],
+    change: "published-only",
+    reason:
+      "The npm CLI's behaviour around whether CHANGELOG.md and .npmignore " +
+      "get packed has changed over time. (Example of .npmignore being " +
+      "published: isstream 0.1.2, published in 2015.)",
+  },
+  {
+    id: "tsbuildinfo",
+    path: "**/tsconfig.tsbuildinfo",
+    reason:
+      "Some packages (e.g. cliui) publish tsconfig.tsbuildinfo, an " +
+      "intermediate build artifact from incremental TypeScript compilation " +
+      "that doesn't reliably end up with the same content when rebuilding " +
+      "from scratch (presumably because it depends in part on the order in " +
+      "which files were incrementally built).",
+  },
+  {
+    id: "definitely-typed-metadata",
+    package: "@types/*",
+    path: ["package.json", "README.md", "LICENSE"],
+    reason:
+      "In @types packages these files are generated by DefinitelyTyped's " +
+      "publisher in a way we simply don't bother to replicate.",
+    link: "https://github.com/microsoft/DefinitelyTyped-tools/blob/main/packages/publisher/src/generate-packages.ts",
+  },
 
-  // resolve v1 ships with a "core.json" file that identifies which packages are
-  // "core modules" of Node (to be removed in v2 in favour of
-  // https://github.com/inspect-js/is-core-module). In v1.22.10, one version
-  // range in core.json was updated to match the change from
-  // https://github.com/inspect-js/is-core-module/commit/aafb7cae0976ecfb156bc563dde57ca8fd838d0c
-  // without that change being committed to source control. Innocuous.
-  resolve: ["1.22.10"],
-
-  // Maintainer accidentally published his /.idea folder (IDE config outside
-  // source control).
-  "iconv-lite": ["0.6.3"],
-
-  // Gets published with Lerna, and I don't know how to repro Lerna's packing
-  // process without publishing & without creating a new commit.
-  // Published version has two innocuous differences: presence of a `LICENSE`
-  // file and inclusion of `gitHead` key in package.json.
-  "pretty-format": [
-    "30.0.2",
-
-    // In addition to the points above, 30.0.5 also has an index.t.mts file
-    // that doesn't seem to be generated by the build process when I run it.
-    "30.0.5",
-  ],
-
-  // A load of docs and config gets excluded from the published package via
-  // some undocumented process. Whatever.
-  postcss: ["8.5.6"],
-
-  // A build step for updating a "version" variable in some code is erroneously
-  // set to run only on publish, not on pack, so doesn't fire when we do our
-  // own build.
-  "eslint-scope": ["8.4.0"],
-
-  // pnpm reorders package.json keys for some reason
-  ms: ["2.1.3"],
-
-  // https://github.com/mathiasbynens/jsesc/issues/74
-  jsesc: ["3.1.0"],
-};
+  // Whole-version whitelists for individual packages:
+  {
+    id: "safe-buffer-sponsorship",
+    package: "safe-buffer",
+    versions: "5.2.1",
+    reason:
+      "Published version contains a licensing comment and some sponsorship " +
+      "info in package.json that is missing from the source. Inconsequential.",
+  },
+  {
+    id: "resolve-core-json",
+    package: "resolve",
+    versions: "1.22.10",
+    reason:
+      'resolve v1 ships with a "core.json" file that identifies which ' +
+      "packages are core modules of Node. In v1.22.10, one version range in " +
+      "core.json was updated to match a change in is-core-module without " +
+      "that change being committed to source control. Innocuous.",
+    link: "https://github.com/inspect-js/is-core-module/commit/aafb7cae0976ecfb156bc563dde57ca8fd838d0c",
+  },
+  {
+    id: "iconv-lite-idea",
+    package: "iconv-lite",
+    versions: "0.6.3",
+    reason:
+      "Maintainer accidentally published his /.idea folder (IDE config " +
+      "outside source control).",
+  },
+  {
+    id: "pretty-format-lerna",
+    package: "pretty-format",
+    versions: "30.0.2 || 30.0.5",
+    reason:
+      "Gets published with Lerna. Published version has two innocuous " +
+      "differences: presence of a LICENSE file and inclusion of gitHead key " +
+      "in package.json. (Our Lerna emulation should now reproduce both, but " +
+      "until an audit confirms it, this rule stays.) 30.0.5 also has a " +
+      "build/index.d.mts file that doesn't seem to be generated by the build " +
+      "process when I run it.",
+  },
+  {
+    id: "postcss-excluded-docs",
+    package: "postcss",
+    versions: "8.5.6",
+    reason:
+      "A load of docs and config gets excluded from the published package " +
+      "via some undocumented process. Whatever.",
+  },
+  {
+    id: "jsesc-74",
+    package: "jsesc",
+    versions: "3.1.0",
+    reason: "See linked issue.",
+    link: "https://github.com/mathiasbynens/jsesc/issues/74",
+  },
+];
@@ -0,0 +1,157 @@
+/**
+ * Engine for deciding whether differences between a build and the published
+ * tarball are known to be benign, based on the rules in knownMismatches.js.
+ */
+
+import { createHash } from "node:crypto";
+import { lstat, readdir, readFile, readlink } from "node:fs/promises";
+import semver from "semver";
+import knownMismatches from "./knownMismatches.js";
+import { globToRegExp } from "./docker/glob.js";
+
+function matchesGlobs(value, globs) {
+  if (globs === undefined) {
+    return true;
+  }
+  return [globs].flat().some((glob) => globToRegExp(glob).test(value));
+}
+
+function isWholeVersionRule(rule) {
+  return rule.path === undefined && rule.change === undefined;
+}
+
+/**
+ * Returns the rules that apply to the given version of the given package.
+ */
+export function rulesFor(packageName, version, rules = knownMismatches) {
+  return rules.filter(
+    (rule) =>
+      (rule.package === undefined ||
+        globToRegExp(rule.package).test(packageName)) &&
+      (rule.versions === undefined ||
+        semver.satisfies(version, rule.versions, { includePrerelease: true })),
+  );
+}
+
+/**
+ * Returns the whole-version rule (i.e. one with no `path` or `change`) that
+ * whitelists the given version of the given package, if there is one.
+ */
+export function wholeVersionRuleFor(
+  packageName,
+  version,
+  rules = knownMismatches,
+) {
+  return rulesFor(packageName, version, rules).find(isWholeVersionRule);
+}
+
+/**
+ * Given a list of changes between the build and the published tarball, like
+ * `{ type: "published-only", path: "CHANGELOG.md" }`, returns a copy of each
+ * change with an `excusedBy` property that is either null (if no rule excuses
+ * the change) or the `id`, `reason` and `link` of the first rule that does.
+ */
+export function explainChanges(
+  packageName,
+  version,
+  changes,
+  rules = knownMismatches,
+) {
+  const applicableRules = rulesFor(packageName, version, rules);
+  return changes.map((change) => {
+    const rule = applicableRules.find(
+      (rule) =>
+        matchesGlobs(change.path, rule.path) &&
+        (rule.change === undefined ||
+          [rule.change].flat().includes(change.type)),
+    );
+    return {
+      ...change,
+      excusedBy: rule
+        ? { id: rule.id, reason: rule.reason, link: rule.link }
+        : null,
+    };
+  });
+}
+
+/**
+ * Returns a hash of the file, symlink or directory (recursively) at the given
+ * path, or null if nothing exists there.
+ */
+async function hashPath(path) {
+  let stats;
+  try {
+    stats = await lstat(path);
+  } catch (e) {
+    if (e.code == "ENOENT") {
+      return null;
+    }
+    throw e;
+  }
+  const hash = createHash("sha256");
+  if (stats.isDirectory()) {
+    for (const entry of (await readdir(path)).sort()) {
+      hash.update(`${entry}\0${await hashPath(`${path}/${entry}`)}\n`);
+    }
+  } else if (stats.isSymbolicLink()) {
+    hash.update(`symlink\0${await readlink(path)}`);
+  } else {
+    hash.update(await readFile(path));
+  }
+  return `sha256-${hash.digest("base64")}`;
+}
+
+/**
+ * Compute a fingerprint of the changes excused by a whole-version rule,
+ * consisting of each changed path along with hashes of its built and
+ * published content, in the format used by the rule's `acceptedDiff`.
+ * Then compare it to the rule's `acceptedDiff`, if it has one.
+ *
+ * Returns an object like:
+ *
+ *   {
+ *     fingerprint: [{ type, path, built, published }, ...],
+ *     status: "unrecorded" | "matches" | "changed",
+ *     unaccepted: [...changes not in the acceptedDiff],
+ *   }
+ *
+ * Changes in the acceptedDiff that are no longer present don't count as the
+ * diff changing; it's only a problem if the diff grows.
+ */
+export async function checkAcceptedDiff(
+  rule,
+  changes,
+  builtContentPath,
+  publishedContentPath,
+) {
+  const excusedChanges = changes.filter(
+    (change) => change.excusedBy?.id == rule.id,
+  );
+  const fingerprint = [];
+  for (const change of excusedChanges) {
+    fingerprint.push({
+      type: change.type,
+      path: change.path,
+      built: await hashPath(`${builtContentPath}/${change.path}`),
+      published: await hashPath(`${publishedContentPath}/${change.path}`),
+    });
+  }
+  if (!rule.acceptedDiff) {
+    return { fingerprint, status: "unrecorded", unaccepted: [] };
+  }
+  const unaccepted = excusedChanges.filter(
+    (_, i) =>
+      !rule.acceptedDiff.some(
+        (accepted) =>
+          accepted.type == fingerprint[i].type &&
+          accepted.path == fingerprint[i].path &&
+          accepted.built == fingerprint[i].built &&
+          accepted.published == fingerprint[i].published,
+      ),
+  );
+  return {
+    fingerprint,
+    status: unaccepted.length ? "changed" : "matches",
+    unaccepted,
+  };
+}
@@ -0,0 +1,218 @@
+/**
+ * Utils for choosing which major version of Node.js to build a package with,
+ * based on hints in the package metadata and source repo, falling back to
+ * whatever Node version was current when the package was published.
+ */
+
+import semver from "semver";
+
+// Node majors we can build with. Older ones can't run docker/buildPackage.js,
+// so packages wanting something older get the oldest we support.
+export const SUPPORTED_NODE_MAJORS = [16, 17, 18, 19, 20, 21, 22, 23, 24];
+
+// Release dates of each even-numbered (i.e. eventually LTS) Node major, plus
+// the codenames of their LTS lines, as used in e.g. `.nvmrc` files:
+const LTS_MAJORS = [
+  { major: 4, released: "2015-09-08", codename: "argon" },
+  { major: 6, released: "2016-04-26", codename: "boron" },
+  { major: 8, released: "2017-05-30", codename: "carbon" },
+  { major: 10, released: "2018-04-24", codename: "dubnium" },
+  { major: 12, released: "2019-04-23", codename: "erbium" },
+  { major: 14, released: "2020-04-21", codename: "fermium" },
+  { major: 16, released: "2021-04-20", codename: "gallium" },
+  { major: 18, released: "2022-04-19", codename: "hydrogen" },
+  { major: 20, released: "2023-04-18", codename: "iron" },
+  { major: 22, released: "2024-04-24", codename: "jod" },
+  { major: 24, released: "2025-05-06", codename: "krypton" },
+];
+
+// Node majors to consider for satisfying `engines.node`, including ones too
+// old to build with, so that we can tell when a package wants one of those:
+const KNOWN_NODE_MAJORS = [
+  ...new Set([
+    ...LTS_MAJORS.map(({ major }) => major),
+    ...SUPPORTED_NODE_MAJORS,
+  ]),
+].sort((a, b) => a - b);
+
+// Oldest Node major supported by each major of each package manager, for
+// respecting `packageManager` pins:
+const PACKAGE_MANAGER_MIN_NODE = {
+  npm: { 9: 14, 10: 18, 11: 20 },
+  pnpm: { 7: 14, 8: 16, 9: 18, 10: 18 },
+  yarn: { 2: 12, 3: 12, 4: 18 },
+};
+
+/**
+ * Files in the source repo that can pin a Node version, in order of
+ * precedence.
+ */
+export const NODE_VERSION_FILES = [".nvmrc", ".node-version"];
+
+/**
+ * The newest LTS-line Node major released before the given date.
+ */
+function majorCurrentAt(date) {
+  const released = LTS_MAJORS.filter(
+    ({ released }) => Date.parse(released) <= Date.parse(date),
+  );
+  return (released.pop() || LTS_MAJORS[0]).major;
+}
+
+/**
+ * The oldest Node major the package manager named in a `packageManager` field
+ * (e.g. "pnpm@9.1.0+sha512.abc...") supports, or null if we don't know.
+ */
+function packageManagerMinNode(packageManager) {
+  const [name, version] = (packageManager || "").split("@");
+  const minNodeByMajor = PACKAGE_MANAGER_MIN_NODE[name];
+  const major = semver.coerce(version)?.major;
+  if (!minNodeByMajor || major === undefined) {
+    return null;
+  }
+  // Versions newer than any we know about are assumed to need at least as
+  // new a Node as the newest we know about:
+  const knownMajors = Object.keys(minNodeByMajor)
+    .map(Number)
+    .filter((knownMajor) => knownMajor <= major);
+  return knownMajors.length ? minNodeByMajor[Math.max(...knownMajors)] : null;
+}
+
+/**
+ * Parse a Node version as written in `.nvmrc`, `volta.node` etc. into a major
+ * version number. Handles versions (`v18.2.0`), partial versions (`18`),
+ * ranges (`>=18`, taking the minimum) and LTS aliases (`lts/hydrogen`, or
+ * `lts/*` meaning whatever was current at the given date). Returns null for
+ * anything else, like the `node` alias.
+ */
+function parseMajor(versionSpec, date) {
+  versionSpec = versionSpec.trim().toLowerCase();
+  const ltsMatch = versionSpec.match(/^lts\/(.+)$/);
+  if (ltsMatch) {
+    if (ltsMatch[1] == "*") {
+      return majorCurrentAt(date);
+    }
+    return (
+      LTS_MAJORS.find(({ codename }) => codename == ltsMatch[1])?.major ?? null
+    );
+  }
+  if (semver.validRange(versionSpec)) {
+    return semver.minVersion(versionSpec)?.major ?? null;
+  }
+  return semver.coerce(versionSpec)?.major ?? null;
+}
+
+/**
+ * Choose the Node major to build with. Arguments:
+ * - versionJson: the version's metadata from the packument
+ * - publishedAt: when the version was published
+ * - repoFiles: contents of any of NODE_VERSION_FILES found in the source repo,
+ *              keyed by filename
+ *
+ * Returns an object like:
+ *
+ *   {
+ *     major: 18,
+ *     source: ".nvmrc", // where the hint came from
+ *     hint: "lts/hydrogen", // the hint itself
+ *     clamped: false, // true if we couldn't build with the major hinted at
+ *     wantedMajor: 18, // the major hinted at, whether or not we could
+ *   }
+ *
+ * Precedence is: a Volta pin, then version files in the repo, then the Node
+ * version npm recorded as being used for publishing (`_nodeVersion`), then
+ * the newest major satisfying `engines.node` that was around at publication,
+ * and finally just the major that was current at publication. A
+ * `packageManager` pin can bump that up if the package manager needs a newer
+ * Node.
+ */
+export function chooseNodeVersion(versionJson, publishedAt, repoFiles = {}) {
+  const pins = [
+    ["volta", versionJson.volta?.node],
+    ...NODE_VERSION_FILES.map((filename) => [filename, repoFiles[filename]]),
+    ["_nodeVersion", versionJson._nodeVersion],
+  ];
+  let choice = null;
+  for (const [source, hint] of pins) {
+    const major =
+      typeof hint == "string" ? parseMajor(hint, publishedAt) : null;
+    if (major) {
+      choice = { major, source, hint: hint.trim() };
+      break;
+    }
+  }
+
+  if (!choice) {
+    const currentMajor = majorCurrentAt(publishedAt);
+    const engines = versionJson.engines?.node;
+    const satisfyingMajors =
+      typeof engines == "string" && semver.validRange(engines)
+        ? KNOWN_NODE_MAJORS.filter((major) =>
+            semver.intersects(engines, `${major}.x`),
+          )
+        : [];
+    if (satisfyingMajors.length) {
+      const major =
+        satisfyingMajors.filter((major) => major <= currentMajor).pop() ||
+        satisfyingMajors[0];
+      choice = { major, source: "engines", hint: engines };
+    } else {
+      choice = {
+        major: currentMajor,
+        source: "publish date",
+        hint: publishedAt,
+      };
+    }
+  }
+
+  const pmMinNode = packageManagerMinNode(versionJson.packageManager);
+  if (pmMinNode && choice.major < pmMinNode) {
+    choice = {
+      major: pmMinNode,
+      source: "packageManager",
+      hint: versionJson.packageManager,
+    };
+  }
+
+  const minSupported = SUPPORTED_NODE_MAJORS[0];
+  const maxSupported = SUPPORTED_NODE_MAJORS[SUPPORTED_NODE_MAJORS.length - 1];
+  const major = Math.min(Math.max(choice.major, minSupported), maxSupported);
+  return {
+    ...choice,
+    major,
+    clamped: major != choice.major,
+    wantedMajor: choice.major,
+  };
+}
+
+/**
+ * Try to fetch the NODE_VERSION_FILES from the source repo at the given
+ * commit, looking in the package's directory (if in a monorepo) before the
+ * repo root. Only works for GitHub repos; returns whatever files were found,
+ * keyed by filename.
+ */
+export async function fetchNodeVersionFiles(repoUrl, commit, directory) {
+  const match = repoUrl.match(
+    /^https:\/\/github\.com\/([^/]+\/[^/]+?)(\.git)?$/,
+  );
+  if (!match || !commit) {
+    return {};
+  }
+  const files = {};
+  for (const filename of NODE_VERSION_FILES) {
+    for (const dir of directory ? [`${directory}/`, ""] : [""]) {
+      try {
+        const resp = await fetch(
+          `https://raw.githubusercontent.com/${match[1]}/${commit}/${dir}${filename}`,
+        );
+        if (resp.ok) {
+          files[filename] = await resp.text();
+          break;
+        }
+      } catch {
+        // No network, probably; we'll just have to do without.
+      }
+    }
+  }
+  return files;
+}
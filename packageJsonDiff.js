@@ -0,0 +1,209 @@
+/**
+ * Structural comparison of a built package.json against the published one,
+ * ignoring key order and whitespace, and classifying each field that differs
+ * by how worrying the difference is.
+ */
+
+import { PUBLISH_CONFIG_OVERRIDABLE_FIELDS } from "./docker/publishEmulation.js";
+import { normalizeRepoUrl } from "./repoUrl.js";
+
+/**
+ * Fields that npm (or Lerna etc.) add or rewrite at publish time, so which we
+ * don't expect to match a build. Any field starting with an underscore is
+ * treated the same way.
+ */
+const PUBLISH_TIME_FIELDS = ["gitHead", "publishConfig"];
+
+/**
+ * Fields that change what code runs when the package is installed or
+ * imported, so which are high-severity if they differ.
+ */
+const HIGH_SEVERITY_FIELDS = [
+  "bin",
+  "browser",
+  "exports",
+  "imports",
+  "main",
+  "module",
+  "type",
+];
+const HIGH_SEVERITY_SCRIPTS = ["preinstall", "install", "postinstall"];
+const DEPENDENCY_FIELDS = [
+  "dependencies",
+  "optionalDependencies",
+  "peerDependencies",
+  "bundleDependencies",
+  "bundledDependencies",
+];
+
+// Fields compared one key at a time, so results say e.g. which dependency
+// changed rather than just that `dependencies` did:
+const NESTED_FIELDS = [
+  "scripts",
+  "dependencies",
+  "optionalDependencies",
+  "peerDependencies",
+  "devDependencies",
+];
+
+function isDeepEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length == b.length &&
+      a.every((item, i) => isDeepEqual(item, b[i]))
+    );
+  }
+  if (a && b && typeof a == "object" && typeof b == "object") {
+    const keys = Object.keys(a);
+    return (
+      keys.length == Object.keys(b).length &&
+      keys.every((key) => key in b && isDeepEqual(a[key], b[key]))
+    );
+  }
+  return a === b;
+}
+
+/**
+ * Apply the normalisation npm does to package.json on publish, so that we
+ * don't report differences that are just down to it: `bin` strings become
+ * objects keyed by the (unscoped) package name, leading `./` is stripped from
+ * bin paths, and `repository` strings become objects with equivalent URLs.
+ */
+function normalize(packageJson) {
+  const normalized = { ...packageJson };
+  if (typeof normalized.bin == "string") {
+    normalized.bin = { [normalized.name?.split("/").pop()]: normalized.bin };
+  }
+  if (normalized.bin && typeof normalized.bin == "object") {
+    normalized.bin = Object.fromEntries(
+      Object.entries(normalized.bin).map(([name, path]) => [
+        name,
+        typeof path == "string" ? path.replace(/^\.\//, "") : path,
+      ]),
+    );
+  }
+  if (typeof normalized.repository == "string") {
+    normalized.repository = { type: "git", url: normalized.repository };
+  }
+  if (typeof normalized.repository?.url == "string") {
+    normalized.repository = {
+      ...normalized.repository,
+      url: normalizeRepoUrl(normalized.repository.url),
+    };
+  }
+  return normalized;
+}
+
+/**
+ * Split a field name like "scripts.build" into its top-level field and
+ * subfield (if any). Only the first dot counts, since e.g. script names can
+ * contain dots.
+ */
+function splitField(field) {
+  const dotIndex = field.indexOf(".");
+  return dotIndex == -1
+    ? [field, undefined]
+    : [field.slice(0, dotIndex), field.slice(dotIndex + 1)];
+}
+
+function classify(field, change, publishedValue, builtJson) {
+  const [topLevelField, subField] = splitField(field);
+  if (
+    topLevelField.startsWith("_") ||
+    PUBLISH_TIME_FIELDS.includes(topLevelField)
+  ) {
+    return { severity: "benign", reason: "set at publish time" };
+  }
+  if (
+    PUBLISH_CONFIG_OVERRIDABLE_FIELDS.includes(field) &&
+    builtJson.publishConfig &&
+    field in builtJson.publishConfig &&
+    isDeepEqual(
+      normalize({ [field]: builtJson.publishConfig[field] })[field],
+      publishedValue,
+    )
+  ) {
+    return { severity: "benign", reason: "copied from publishConfig" };
+  }
+  if (HIGH_SEVERITY_FIELDS.includes(field)) {
+    return { severity: "high", reason: "changes what code gets run" };
+  }
+  if (topLevelField == "scripts" && HIGH_SEVERITY_SCRIPTS.includes(subField)) {
+    return { severity: "high", reason: "install lifecycle script" };
+  }
+  if (DEPENDENCY_FIELDS.includes(topLevelField) && change != "removed") {
+    return { severity: "high", reason: "new or changed dependency" };
+  }
+  return { severity: "low", reason: null };
+}
+
+/**
+ * Compare the parsed built and published package.json files. Returns an array
+ * with an entry for each field that differs, like:
+ *
+ *   {
+ *     field: "scripts.postinstall",
+ *     change: "added" | "removed" | "changed",
+ *     built: <value in build, or undefined>,
+ *     published: <value in published package, or undefined>,
+ *     severity: "benign" | "low" | "high",
+ *     reason: "install lifecycle script",
+ *   }
+ *
+ * "added" means present in the published package.json but not the built one.
+ * An empty array means the files are equivalent.
+ */
+export function comparePackageJson(builtJson, publishedJson) {
+  const built = normalize(builtJson);
+  const published = normalize(publishedJson);
+
+  function fieldsOf(obj, prefix) {
+    if (!obj || typeof obj != "object" || Array.isArray(obj)) {
+      return [];
+    }
+    return Object.keys(obj).map((key) => `${prefix}${key}`);
+  }
+
+  const fields = new Set();
+  for (const field of [...fieldsOf(built, ""), ...fieldsOf(published, "")]) {
+    if (NESTED_FIELDS.includes(field)) {
+      for (const source of [built, published]) {
+        for (const subField of fieldsOf(source[field], `${field}.`)) {
+          fields.add(subField);
+        }
+      }
+    } else {
+      fields.add(field);
+    }
+  }
+
+  const results = [];
+  for (const field of fields) {
+    const [topLevelField, subField] = splitField(field);
+    const builtValue = subField
+      ? built[topLevelField]?.[subField]
+      : built[topLevelField];
+    const publishedValue = subField
+      ? published[topLevelField]?.[subField]
+      : published[topLevelField];
+    if (isDeepEqual(builtValue, publishedValue)) {
+      continue;
+    }
+    let change = "changed";
+    if (builtValue === undefined) {
+      change = "added";
+    } else if (publishedValue === undefined) {
+      change = "removed";
+    }
+    results.push({
+      field,
+      change,
+      built: builtValue,
+      published: publishedValue,
+      ...classify(field, change, publishedValue, builtJson),
+    });
+  }
+  return results;
+}
@@ -0,0 +1,136 @@
+/**
+ * Diagnosis of whether a mismatch is down to which files got packed, rather
+ * than what's in them, using the pack file list the build records (see
+ * docker/packList.js).
+ */
+
+import { matchFilesField } from "./docker/packList.js";
+
+// Files that npm 6 and earlier always included in the package root, but
+// later versions don't:
+const LEGACY_ALWAYS_INCLUDED_REGEX =
+  /^((changelog|changes|history|notice)(\..*)?|\.npmignore)$/i;
+
+/**
+ * Find the pack file list entry for a path: its own, or that of an excluded
+ * directory it's in.
+ */
+function packFileEntry(packFileList, path) {
+  return packFileList.find(
+    (entry) =>
+      entry.path == path ||
+      (entry.path.endsWith("/") && path.startsWith(entry.path)),
+  );
+}
+
+function describeRule({ reason, rule, ruleSource }) {
+  return {
+    files: `\`files\` entry "${rule}"`,
+    "always-included": "npm always including it",
+    main: "being `main`",
+    bin: "being in `bin`",
+    default: "npm's default of including everything",
+    "always-excluded": `npm always excluding ${rule}`,
+    "ignore-file": `${ruleSource} pattern "${rule}"`,
+    "not-in-files": rule
+      ? `\`files\` entry "${rule}"`
+      : "`files` not matching it",
+  }[reason];
+}
+
+/**
+ * Work out what would have included a file that's only in the published
+ * package, given the pack file list entry that says why we didn't, and the
+ * published package.json. Returns a description, or null if we can't tell.
+ */
+function whatWouldInclude(path, entry, publishedPackageJson) {
+  const publishedFilesMatch =
+    entry.reason == "not-in-files" &&
+    matchFilesField(publishedPackageJson?.files, path);
+  if (publishedFilesMatch) {
+    return `the published package.json's \`files\` entry "${publishedFilesMatch}"`;
+  }
+  if (!path.includes("/") && LEGACY_ALWAYS_INCLUDED_REGEX.test(path)) {
+    return "npm 6 and earlier, which always included it";
+  }
+  if (
+    entry.reason == "ignore-file" &&
+    entry.ruleSource.endsWith(".gitignore")
+  ) {
+    return (
+      "npm's default of including everything, if the publisher had a " +
+      ".npmignore (which takes precedence over .gitignore)"
+    );
+  }
+  if (entry.reason == "ignore-file") {
+    return `npm's default of including everything, without ${entry.ruleSource} pattern "${entry.rule}"`;
+  }
+  if (entry.reason == "always-excluded") {
+    return "a packer that doesn't exclude it, like an older npm or another package manager";
+  }
+  return null;
+}
+
+/**
+ * Explain how packaging rules led to a build-only or published-only change,
+ * if the file existed in the directory we packed (so it was the rules that
+ * decided whether it got in). Returns null for changes to files' contents,
+ * and for files our build didn't produce at all.
+ */
+function explainPackaging(change, packFileList, publishedPackageJson) {
+  if (change.type == "change") {
+    return null;
+  }
+  const entry = packFileEntry(packFileList, change.path);
+  if (!entry) {
+    return null;
+  }
+  if (change.type == "build-only") {
+    const explanation = entry.included
+      ? `included in our build by ${describeRule(entry)}`
+      : "packed by our build, though our reading of the rules excludes it";
+    return Array.isArray(publishedPackageJson?.files) &&
+      !matchFilesField(publishedPackageJson.files, change.path)
+      ? `${explanation}, but the published package.json's \`files\` doesn't include it`
+      : explanation;
+  }
+  if (entry.included) {
+    return (
+      `our reading of the rules includes it (by ${describeRule(entry)}), ` +
+      "but our packer left it out"
+    );
+  }
+  const wouldInclude = whatWouldInclude(
+    change.path,
+    entry,
+    publishedPackageJson,
+  );
+  return (
+    `excluded from our build by ${describeRule(entry)}` +
+    (wouldInclude ? `; would have been included by ${wouldInclude}` : "")
+  );
+}
+
+/**
+ * Add a `packaging` explanation (see explainPackaging) to each change that's
+ * down to packaging rules. Returns "packaging rules differ" if every
+ * unexcused change (or, if there are none, every change) is, and
+ * "content differs" otherwise.
+ */
+export function diagnosePackaging(changes, packFileList, publishedPackageJson) {
+  let isAllPackaging = true;
+  const hasUnexcused = changes.some((change) => !change.excusedBy);
+  for (const change of changes) {
+    const explanation = explainPackaging(
+      change,
+      packFileList,
+      publishedPackageJson,
+    );
+    if (explanation) {
+      change.packaging = explanation;
+    } else if (!hasUnexcused || !change.excusedBy) {
+      isAllPackaging = false;
+    }
+  }
+  return isAllPackaging ? "packaging rules differ" : "content differs";
+}
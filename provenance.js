@@ -0,0 +1,115 @@
+/**
+ * Utils for cross-checking npm provenance attestations (which packages
+ * published with `npm publish --provenance` carry) against the source we
+ * actually built.
+ *
+ * We only read what the attestation claims; we don't verify its Sigstore
+ * signature; `npm audit signatures` can do that.
+ */
+
+import { Buffer } from "node:buffer";
+import { normalizeRepoUrl } from "./repoUrl.js";
+
+const SLSA_PROVENANCE_PREFIX = "https://slsa.dev/provenance/";
+
+/**
+ * Split a URI like "git+https://github.com/owner/repo@refs/heads/main" into
+ * the repo URL and ref.
+ */
+function splitGitUri(uri) {
+  const match = uri.match(/^(?:git\+)?(.*?)(?:@(refs\/.*))?$/);
+  return { repository: match[1], ref: match[2] || null };
+}
+
+/**
+ * Pull what a provenance attestation claims about where a package was built
+ * from out of the registry's attestations document for a version (as served
+ * at its `dist.attestations.url`). Handles SLSA provenance v0.2 and v1.
+ * Returns an object like:
+ *
+ *   {
+ *     predicateType: "https://slsa.dev/provenance/v1",
+ *     repository: "https://github.com/owner/repo",
+ *     ref: "refs/heads/main",
+ *     commit: "0123abc...",
+ *     workflow: ".github/workflows/publish.yml",
+ *   }
+ *
+ * or null if there's no provenance attestation in the document.
+ */
+export function provenanceClaims(attestationsJson) {
+  const attestation = attestationsJson?.attestations?.find(
+    ({ predicateType }) => predicateType?.startsWith(SLSA_PROVENANCE_PREFIX),
+  );
+  if (!attestation) {
+    return null;
+  }
+  const statement = JSON.parse(
+    Buffer.from(attestation.bundle.dsseEnvelope.payload, "base64").toString(),
+  );
+  const { predicate } = statement;
+
+  if (attestation.predicateType == `${SLSA_PROVENANCE_PREFIX}v0.2`) {
+    const configSource = predicate.invocation.configSource;
+    return {
+      predicateType: attestation.predicateType,
+      ...splitGitUri(configSource.uri),
+      commit: configSource.digest?.sha1 || null,
+      workflow: configSource.entryPoint || null,
+    };
+  }
+
+  const source = predicate.buildDefinition.resolvedDependencies?.find(
+    (dependency) => dependency.digest?.gitCommit,
+  );
+  const workflow = predicate.buildDefinition.externalParameters?.workflow;
+  return {
+    predicateType: attestation.predicateType,
+    ...(source
+      ? splitGitUri(source.uri)
+      : { repository: workflow?.repository || null, ref: workflow?.ref }),
+    commit: source?.digest.gitCommit || null,
+    workflow: workflow?.path || null,
+  };
+}
+
+/**
+ * Compare provenance claims (from provenanceClaims) with the repo URL and
+ * commit we built from. The commit can be null if the build failed before
+ * getting as far as checking one out. Returns an object like:
+ *
+ *   {
+ *     status: "agrees" | "disagrees" | "no provenance",
+ *     claims: { ... }, // as returned by provenanceClaims
+ *     mismatches: ["commit"], // which of "repository" and "commit" differ
+ *     commitChecked: true, // false if either side lacks a commit, in which
+ *                          // case "agrees" means just the repository does
+ *   }
+ */
+export function compareProvenance(claims, repoUrl, commit) {
+  if (!claims) {
+    return {
+      status: "no provenance",
+      claims: null,
+      mismatches: [],
+      commitChecked: false,
+    };
+  }
+  const mismatches = [];
+  if (
+    !claims.repository ||
+    normalizeRepoUrl(claims.repository) != normalizeRepoUrl(repoUrl)
+  ) {
+    mismatches.push("repository");
+  }
+  const commitChecked = Boolean(claims.commit && commit);
+  if (commitChecked && claims.commit != commit) {
+    mismatches.push("commit");
+  }
+  return {
+    status: mismatches.length ? "disagrees" : "agrees",
+    claims,
+    mismatches,
+    commitChecked,
+  };
+}
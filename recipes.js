@@ -0,0 +1,40 @@
+/**
+ * Utils for picking the build recipe (from buildRecipes.js) for a package.
+ */
+
+import semver from "semver";
+import buildRecipes from "./buildRecipes.js";
+import { globToRegExp } from "./docker/glob.js";
+import { normalizeRepoUrl } from "./repoUrl.js";
+
+/**
+ * Returns a single recipe combining all the recipes that apply to the given
+ * version of the given package (built from the given repo URL), with later
+ * recipes' overrides taking precedence, and with `id` being an array of the
+ * ids of all the recipes combined. Returns null if no recipes apply.
+ */
+export function recipeFor(
+  packageName,
+  repoUrl,
+  version,
+  recipes = buildRecipes,
+) {
+  const matching = recipes.filter(
+    (recipe) =>
+      (recipe.package !== undefined || recipe.repo !== undefined) &&
+      (recipe.package === undefined ||
+        globToRegExp(recipe.package).test(packageName)) &&
+      (recipe.repo === undefined ||
+        normalizeRepoUrl(recipe.repo) == normalizeRepoUrl(repoUrl)) &&
+      (recipe.versions === undefined ||
+        semver.satisfies(version, recipe.versions, {
+          includePrerelease: true,
+        })),
+  );
+  if (matching.length == 0) {
+    return null;
+  }
+  return Object.assign({}, ...matching, {
+    id: matching.map((recipe) => recipe.id),
+  });
+}
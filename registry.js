@@ -0,0 +1,71 @@
+/**
+ * Utils for talking to an npm registry - either the public one, a mirror
+ * (e.g. Verdaccio or Artifactory), or our own fixture registry (see
+ * fixtureRegistry.js).
+ */
+
+import { writeFile } from "node:fs/promises";
+
+export const DEFAULT_REGISTRY_URL = "https://registry.npmjs.org/";
+
+export class RegistryClient {
+  /**
+   * registryUrl: base URL of the registry, e.g. https://registry.npmjs.org/
+   * token: optional auth token, sent as a bearer token with requests to the
+   *        registry (but never to other hosts, like a tarball URL pointing
+   *        somewhere else)
+   */
+  constructor(registryUrl = DEFAULT_REGISTRY_URL, token = null) {
+    this.registryUrl = registryUrl.endsWith("/")
+      ? registryUrl
+      : `${registryUrl}/`;
+    this.token = token;
+  }
+
+  headersFor(url) {
+    const headers = {};
+    if (this.token && url.startsWith(this.registryUrl)) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+    return headers;
+  }
+
+  async get(url) {
+    const resp = await fetch(url, { headers: this.headersFor(url) });
+    if (!resp.ok) {
+      throw new Error(`GET ${url} returned HTTP ${resp.status}`);
+    }
+    return resp;
+  }
+
+  /**
+   * Fetch the packument (the document describing every published version) for
+   * a package.
+   */
+  async fetchPackument(packageName) {
+    // Scoped package names need their slash escaping, e.g. @babel%2fcore:
+    const url = this.registryUrl + packageName.replace("/", "%2f");
+    return await (await this.get(url)).json();
+  }
+
+  /**
+   * Fetch the attestations document (containing e.g. a provenance
+   * attestation) for a version, given its metadata from the packument.
+   * Resolves to null if the version has no attestations.
+   */
+  async fetchAttestations(versionJson) {
+    const url = versionJson.dist?.attestations?.url;
+    return url ? await (await this.get(url)).json() : null;
+  }
+
+  /**
+   * Download a tarball (e.g. a version's dist.tarball) to the given path.
+   * Resolves to the downloaded bytes, as a Uint8Array.
+   */
+  async downloadTarball(tarballUrl, destPath) {
+    const resp = await this.get(tarballUrl);
+    const bytes = new Uint8Array(await resp.arrayBuffer());
+    await writeFile(destPath, bytes);
+    return bytes;
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Utils for comparing source repo URLs, which come in many equivalent forms.
+ */
+
+/**
+ * Normalize a repo URL, as found in package.json's `repository`, a provenance
+ * attestation or buildRecipes.js, so that equivalent URLs come out the same:
+ * no `git+` prefix, scheme, `git@` user, trailing slash or `.git` suffix,
+ * SCP-style `git@host:owner/repo` and the `github:owner/repo` and
+ * `owner/repo` shorthands expanded, and lowercased. For example, all of
+ * these become "github.com/owner/repo":
+ *
+ *   git+https://github.com/Owner/repo.git
+ *   ssh://git@github.com/owner/repo
+ *   git@github.com:owner/repo.git
+ *   github:owner/repo
+ *
+ * The result is for comparing, not fetching.
+ */
+export function normalizeRepoUrl(url) {
+  return url
+    .replace(/^git\+/, "")
+    .replace(/^(git|ssh|https?):\/\/(git@)?/, "")
+    .replace(/^git@([^:]+):/, "$1/")
+    .replace(/^github:/, "github.com/")
+    .replace(/^([\w-]+\/[\w.-]+)$/, "github.com/$1")
+    .replace(/\/$/, "")
+    .replace(/\.git$/, "")
+    .toLowerCase();
+}
@@ -0,0 +1,209 @@
+/**
+ * Scanning of the changes in a mismatch that no rule excuses for signs of
+ * something malicious having been slipped into the published package, so
+ * that reviewers can look at the scariest mismatches first.
+ *
+ * This is a triage aid, not a malware scanner: every signal here turns up in
+ * plenty of legitimate packages, and anything sneaky enough won't trip them.
+ */
+
+import { readFile } from "node:fs/promises";
+import { isBinary } from "./contentDiff.js";
+
+const CODE_EXTENSIONS = [".js", ".mjs", ".cjs", ".jsx", ".ts", ".mts", ".cts"];
+
+// Binary files that are just data, so not worth flagging:
+const MEDIA_EXTENSIONS = [
+  ".png",
+  ".jpg",
+  ".jpeg",
+  ".gif",
+  ".ico",
+  ".webp",
+  ".woff",
+  ".woff2",
+  ".ttf",
+  ".otf",
+  ".eot",
+  ".gz",
+];
+
+const INSTALL_SCRIPTS = ["preinstall", "install", "postinstall"];
+
+// How much each kind of signal adds to the risk score:
+const SIGNAL_WEIGHTS = {
+  "install-script": 50,
+  "native-binary": 40,
+  "child-process": 30,
+  eval: 25,
+  network: 20,
+  obfuscation: 20,
+};
+
+// Patterns in code, by the signal they count towards:
+const CODE_PATTERNS = {
+  "child-process": [/["'`](?:node:)?child_process["'`]/g],
+  eval: [/\beval\s*\(/g, /\bFunction\s*\(/g],
+  network: [
+    /["'`](?:node:)?(?:http|https|http2|net|tls|dgram|dns)["'`]/g,
+    /\bfetch\s*\(/g,
+    /\bXMLHttpRequest\b/g,
+    /\bWebSocket\b/g,
+  ],
+  obfuscation: [
+    // Identifiers as generated by javascript-obfuscator:
+    /\b_0x[0-9a-f]{4,}\b/gi,
+    // Long runs of escaped characters:
+    /(?:\\x[0-9a-f]{2}|\\u[0-9a-f]{4}){16,}/gi,
+  ],
+};
+
+// Long strings of base64-ish characters with at least this much Shannon
+// entropy (in bits per character) count as obfuscation. Base64-encoded
+// random data comes out at nearly 6; English text at around 4.
+const LONG_STRING_REGEX = /["'`]([\w+/=-]{200,})["'`]/g;
+const HIGH_ENTROPY = 5;
+
+function entropy(text) {
+  const counts = {};
+  for (const char of text) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((total, count) => {
+    const p = count / text.length;
+    return total - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * Count matches of each signal's code patterns (and high-entropy strings) in
+ * the given source, keyed by signal.
+ */
+function countCodeSignals(text) {
+  const counts = {};
+  for (const [signal, patterns] of Object.entries(CODE_PATTERNS)) {
+    counts[signal] = patterns.reduce(
+      (total, pattern) => total + (text.match(pattern)?.length || 0),
+      0,
+    );
+  }
+  counts.obfuscation += Array.from(text.matchAll(LONG_STRING_REGEX)).filter(
+    ([, string]) => entropy(string) >= HIGH_ENTROPY,
+  ).length;
+  return counts;
+}
+
+/**
+ * Scan a published file that's new or changed (per `changeType`), returning
+ * findings as described for scanChanges.
+ */
+async function scanFile(
+  path,
+  changeType,
+  builtContentPath,
+  publishedContentPath,
+) {
+  const findings = [];
+  const extension = path.match(/\.[^./]+$/)?.[0].toLowerCase();
+  const published = await readFile(`${publishedContentPath}/${path}`);
+  if (
+    extension == ".node" ||
+    (isBinary(published) && !MEDIA_EXTENSIONS.includes(extension))
+  ) {
+    findings.push({
+      path,
+      signal: "native-binary",
+      detail: `${changeType == "change" ? "changed" : "new"} binary file`,
+    });
+    return findings;
+  }
+  if (!CODE_EXTENSIONS.includes(extension)) {
+    return findings;
+  }
+  const publishedCounts = countCodeSignals(published.toString());
+  const builtCounts =
+    changeType == "change"
+      ? countCodeSignals(
+          (await readFile(`${builtContentPath}/${path}`)).toString(),
+        )
+      : {};
+  for (const [signal, count] of Object.entries(publishedCounts)) {
+    const newCount = count - (builtCounts[signal] || 0);
+    if (newCount > 0) {
+      findings.push({
+        path,
+        signal,
+        detail: `${newCount} new occurrence${newCount == 1 ? "" : "s"}`,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Scan the changes from a content comparison that nothing excused, looking
+ * at what the published package has that the build doesn't: new install
+ * scripts in package.json (going by the comparison's `packageJsonDiff`), new
+ * native or other non-media binaries, and code that does more process
+ * spawning, eval, networking or obfuscation than the built version of the
+ * same file (if any). Files only in the build aren't scanned. Returns:
+ *
+ *   {
+ *     riskScore: 55, // sum of the weights of every finding's signal
+ *     riskFindings: [
+ *       {
+ *         path: "dist/index.js",
+ *         signal: "child-process", // a key of SIGNAL_WEIGHTS
+ *         detail: "3 new occurrences",
+ *       },
+ *     ],
+ *   }
+ */
+export async function scanChanges(
+  changes,
+  packageJsonDiff,
+  builtContentPath,
+  publishedContentPath,
+) {
+  const findings = [];
+  for (const change of changes) {
+    if (change.excusedBy || change.type == "build-only") {
+      continue;
+    }
+    const { path } = change;
+
+    if (path == "package.json") {
+      for (const field of packageJsonDiff || []) {
+        const script = field.field.match(/^scripts\.(.*)$/)?.[1];
+        if (INSTALL_SCRIPTS.includes(script) && field.change != "removed") {
+          findings.push({
+            path,
+            signal: "install-script",
+            detail: `${field.change} ${script}: ${field.published}`,
+          });
+        }
+      }
+      continue;
+    }
+
+    try {
+      findings.push(
+        ...(await scanFile(
+          path,
+          change.type,
+          builtContentPath,
+          publishedContentPath,
+        )),
+      );
+    } catch {
+      // Unreadable, e.g. a dangling symlink, so nothing to scan.
+    }
+  }
+  return {
+    riskScore: findings.reduce(
+      (total, finding) => total + SIGNAL_WEIGHTS[finding.signal],
+      0,
+    ),
+    riskFindings: findings,
+  };
+}
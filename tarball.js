@@ -0,0 +1,264 @@
+/**
+ * In-process reading and extraction of package tarballs (gzipped tar files,
+ * in the ustar format with pax or GNU extensions for long names), so that we
+ * get each entry's exact mode and symlink target rather than whatever the
+ * local `tar` and umask make of them.
+ */
+
+import { gunzipSync } from "node:zlib";
+import { mkdir, realpath, symlink, unlink, writeFile } from "node:fs/promises";
+import { dirname, isAbsolute, join, normalize } from "node:path";
+
+const BLOCK_SIZE = 512;
+
+function readString(header, start, length) {
+  const field = header.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end == -1 ? length : end).toString("utf8");
+}
+
+function readNumber(header, start, length) {
+  // Sizes too big for octal are stored big-endian in base 256, flagged by
+  // the high bit of the first byte:
+  if (header[start] & 0x80) {
+    let value = header[start] & 0x7f;
+    for (let i = start + 1; i < start + length; i++) {
+      value = value * 256 + header[i];
+    }
+    return value;
+  }
+  return parseInt(readString(header, start, length).trim() || "0", 8);
+}
+
+function hasValidChecksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    // The checksum field itself counts as spaces:
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum == readNumber(header, 148, 8);
+}
+
+/**
+ * Parse pax extended header records, which look like "<length> key=value\n".
+ */
+function parsePaxHeaders(data) {
+  const headers = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const spaceIndex = data.indexOf(0x20, offset);
+    const length = parseInt(data.subarray(offset, spaceIndex).toString(), 10);
+    if (!(length > 0)) {
+      break;
+    }
+    const record = data
+      .subarray(spaceIndex + 1, offset + length - 1)
+      .toString("utf8");
+    const equalsIndex = record.indexOf("=");
+    headers[record.slice(0, equalsIndex)] = record.slice(equalsIndex + 1);
+    offset += length;
+  }
+  return headers;
+}
+
+/**
+ * Split an entry name into its path components, refusing names that could
+ * escape the directory the tarball gets extracted to.
+ */
+function splitEntryName(name) {
+  const parts = name.split("/").filter((part) => part && part != ".");
+  if (name.startsWith("/") || parts.includes("..")) {
+    throw new Error(`tarball entry has an unsafe path: ${name}`);
+  }
+  return parts;
+}
+
+/**
+ * Read the gzipped tarball in the given bytes. As described at
+ * https://docs.npmjs.com/cli/v9/commands/npm-install#description (points a
+ * and b), a package tarball contains a folder that contains the package
+ * contents. That folder is usually named "package" (that seems to be what
+ * `npm pack` defaults to), but this is not strictly required and there are
+ * exceptions - e.g. https://registry.npmjs.org/@types/node/-/node-24.0.14.tgz
+ * Returns an object like:
+ *
+ *   {
+ *     root: "package", // the name of that folder
+ *     entries: Map {
+ *       // Keyed by path within that folder:
+ *       "lib/index.js" => { type: "file", mode: 0o644, data: <Buffer> },
+ *       "lib" => { type: "directory", mode: 0o755 },
+ *       "bin/cli" => { type: "symlink", mode: 0o777, target: "../lib/cli.js" },
+ *     },
+ *   }
+ *
+ * Hard links come out as copies of the file they link to, and device files
+ * and FIFOs are left out.
+ */
+export function readTarball(bytes) {
+  const tar = gunzipSync(bytes);
+  const entries = new Map();
+  let root = null;
+  let globalPax = {};
+  let nextPax = {};
+  let nextLongName = null;
+  let nextLongTarget = null;
+
+  for (let offset = 0; offset + BLOCK_SIZE <= tar.length;) {
+    const header = tar.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every((byte) => byte == 0)) {
+      break;
+    }
+    if (!hasValidChecksum(header)) {
+      throw new Error(`tarball header at offset ${offset} is corrupt`);
+    }
+    const typeFlag = String.fromCharCode(header[156] || 0x30);
+    const pax = { ...globalPax, ...nextPax };
+    const size = pax.size ? Number(pax.size) : readNumber(header, 124, 12);
+    const data = tar.subarray(offset + BLOCK_SIZE, offset + BLOCK_SIZE + size);
+    offset += BLOCK_SIZE + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    // Headers that describe the next entry rather than being one:
+    if (typeFlag == "x") {
+      nextPax = parsePaxHeaders(data);
+      continue;
+    } else if (typeFlag == "g") {
+      globalPax = { ...globalPax, ...parsePaxHeaders(data) };
+      continue;
+    } else if (typeFlag == "L") {
+      nextLongName = readString(data, 0, data.length);
+      continue;
+    } else if (typeFlag == "K") {
+      nextLongTarget = readString(data, 0, data.length);
+      continue;
+    }
+
+    let name = pax.path || nextLongName || readString(header, 0, 100);
+    const prefix = readString(header, 345, 155);
+    if (
+      !pax.path &&
+      !nextLongName &&
+      prefix &&
+      readString(header, 257, 5) == "ustar"
+    ) {
+      name = `${prefix}/${name}`;
+    }
+    const target =
+      pax.linkpath || nextLongTarget || readString(header, 157, 100);
+    const mode = readNumber(header, 100, 8) & 0o7777;
+    nextPax = {};
+    nextLongName = null;
+    nextLongTarget = null;
+
+    const [entryRoot, ...pathParts] = splitEntryName(name);
+    if (entryRoot === undefined) {
+      continue;
+    }
+    root ??= entryRoot;
+    if (entryRoot != root) {
+      throw new Error(
+        "expected tarball to have exactly 1 top-level item (a folder); " +
+          `but got ${root} and ${entryRoot}`,
+      );
+    }
+    const path = pathParts.join("/");
+    if (!path) {
+      continue;
+    }
+
+    if (["0", "7"].includes(typeFlag)) {
+      entries.set(path, { type: "file", mode, data });
+    } else if (typeFlag == "1") {
+      const [, ...targetParts] = splitEntryName(target);
+      const linked = entries.get(targetParts.join("/"));
+      if (linked?.type == "file") {
+        entries.set(path, { ...linked, mode });
+      }
+    } else if (typeFlag == "2") {
+      entries.set(path, { type: "symlink", mode, target });
+    } else if (typeFlag == "5") {
+      entries.set(path, { type: "directory", mode });
+    }
+  }
+  if (!root) {
+    throw new Error(
+      "expected tarball to have exactly 1 top-level item (a folder); but got 0",
+    );
+  }
+  return { root, entries };
+}
+
+/**
+ * Write the entries of a tarball (as returned by readTarball) to the given
+ * directory, under the tarball's top-level folder, and return the path of
+ * that folder. Files get at least owner read and write permission, so that
+ * we can clean them up later. Symlinks pointing outside the package (directly
+ * or via other symlinks), or to nothing, get left out, so that reading
+ * files from the extracted package can't end up reading anything else on the
+ * machine.
+ */
+export async function writeTarball({ root, entries }, destDir) {
+  const contentPath = `${destDir}/${root}`;
+  await mkdir(contentPath, { recursive: true });
+  const symlinks = [];
+  for (const [path, entry] of entries) {
+    if (entry.type == "directory") {
+      await mkdir(`${contentPath}/${path}`, { recursive: true });
+    } else if (entry.type == "file") {
+      await mkdir(dirname(`${contentPath}/${path}`), { recursive: true });
+      await writeFile(`${contentPath}/${path}`, entry.data, {
+        mode: (entry.mode & 0o777) | 0o600,
+      });
+    } else {
+      symlinks.push([path, entry]);
+    }
+  }
+  // Symlinks go last, so that no file gets written through one. Nor does any
+  // other symlink: checking where a symlink points only works if the
+  // directories it's in aren't symlinks themselves.
+  const writtenSymlinks = new Set();
+  for (const [path, { target }] of symlinks) {
+    const resolvedTarget = normalize(join(dirname(path), target));
+    const parts = path.split("/");
+    const isInSymlink = parts
+      .slice(1)
+      .some((_, i) => writtenSymlinks.has(parts.slice(0, i + 1).join("/")));
+    if (
+      isAbsolute(target) ||
+      resolvedTarget == ".." ||
+      resolvedTarget.startsWith("../") ||
+      isInSymlink
+    ) {
+      continue;
+    }
+    await mkdir(dirname(`${contentPath}/${path}`), { recursive: true });
+    try {
+      await symlink(target, `${contentPath}/${path}`);
+    } catch (e) {
+      // Something else already got written there, e.g. a directory for
+      // another entry inside it.
+      if (e.code != "EEXIST") {
+        throw e;
+      }
+      continue;
+    }
+    writtenSymlinks.add(path);
+  }
+  // A target can still lead outside once other symlinks are followed (like
+  // `a/../x` with `a -> .`), so check where each one really ends up. Dangling
+  // ones go too, since something could appear where they point later.
+  const realContentPath = await realpath(contentPath);
+  for (const path of writtenSymlinks) {
+    const realTarget = await realpath(`${contentPath}/${path}`).catch(
+      () => null,
+    );
+    if (
+      !realTarget ||
+      (realTarget != realContentPath &&
+        !realTarget.startsWith(`${realContentPath}/`))
+    ) {
+      await unlink(`${contentPath}/${path}`);
+    }
+  }
+  return contentPath;
+}
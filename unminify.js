@@ -0,0 +1,303 @@
+/**
+ * Readable diffs of minified or bundled JS files, which are usually one huge
+ * line each, so a plain diff of them is just one unreadable hunk. We
+ * pretty-print both versions before diffing them, and when a source map is
+ * shipped alongside, use it to find which original source files the
+ * differences came from.
+ */
+
+import { Buffer } from "node:buffer";
+import { readFile } from "node:fs/promises";
+import { dirname, join, normalize } from "node:path";
+import { formatPatch, structuredPatch } from "diff";
+import jsTokens from "js-tokens";
+
+const JS_EXTENSIONS = [".js", ".mjs", ".cjs"];
+
+// A file counts as minified if at least half of it is on lines longer than
+// this:
+const MINIFIED_LINE_LENGTH = 500;
+
+// Give up on diffing pretty-printed files after this long, since they can be
+// huge and, if built with a different bundler, different throughout:
+const DIFF_TIMEOUT_MS = 30 * 1000;
+
+const NEWLINE_REGEX = /\r\n|[\n\r\u2028\u2029]/;
+
+// Keywords that we put a space after even when followed by a parenthesis:
+const SPACED_KEYWORDS = ["if", "for", "while", "switch", "catch", "return"];
+
+const BASE64_DIGITS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+function isMinified(text) {
+  const longLinesLength = text
+    .split(NEWLINE_REGEX)
+    .filter((line) => line.length > MINIFIED_LINE_LENGTH)
+    .reduce((total, line) => total + line.length, 0);
+  return longLinesLength >= text.length / 2;
+}
+
+/**
+ * Reformat JS source with one statement per line and block contents
+ * indented, so that a line diff of it is readable. Makes no attempt to look
+ * nice beyond that. Returns the lines, each with the (0-based) line and
+ * column in the original source that it starts at:
+ *
+ *   [{ text: "if (a) {", line: 0, column: 1234 }, ...]
+ */
+function prettyPrint(text) {
+  const lines = [];
+  let current = null;
+  let indent = 0;
+  let parenDepth = 0;
+  let previous = null;
+  let line = 0;
+  let column = 0;
+
+  const breakLine = () => {
+    if (current) {
+      lines.push(current);
+      current = null;
+    }
+  };
+
+  for (const token of jsTokens(text)) {
+    const tokenLine = line;
+    const tokenColumn = column;
+    const tokenLines = token.value.split(NEWLINE_REGEX);
+    line += tokenLines.length - 1;
+    column =
+      tokenLines.length > 1
+        ? tokenLines.at(-1).length
+        : column + token.value.length;
+    if (token.type == "WhiteSpace" || token.type == "LineTerminatorSequence") {
+      continue;
+    }
+
+    const { type, value } = token;
+    const isComment = type.endsWith("Comment");
+    if (value == "}") {
+      indent = Math.max(indent - 1, 0);
+      breakLine();
+    } else if (isComment) {
+      breakLine();
+    } else if (
+      previous?.value == "}" &&
+      ![")", "]", ",", ";", ".", "?.", "else", "catch", "finally"].includes(
+        value,
+      )
+    ) {
+      breakLine();
+    }
+
+    if (!current) {
+      current = {
+        text: "  ".repeat(indent) + tokenLines[0],
+        line: tokenLine,
+        column: tokenColumn,
+      };
+    } else {
+      const followsOperand =
+        (previous.type == "IdentifierName" &&
+          !SPACED_KEYWORDS.includes(previous.value)) ||
+        [")", "]"].includes(previous.value);
+      const noSpace =
+        [")", "]", ",", ";", ".", "?."].includes(value) ||
+        ["(", "[", ".", "?.", "!", "~"].includes(previous.value) ||
+        // Calls, and postfix increments and decrements:
+        (["(", "++", "--"].includes(value) && followsOperand);
+      current.text += (noSpace ? "" : " ") + tokenLines[0];
+    }
+    // Tokens that span lines, like template literals and block comments,
+    // carry on on lines of their own:
+    for (const [i, tokenLineText] of tokenLines.slice(1).entries()) {
+      breakLine();
+      current = { text: tokenLineText, line: tokenLine + i + 1, column: 0 };
+    }
+
+    if (value == "(") {
+      parenDepth++;
+    } else if (value == ")") {
+      parenDepth = Math.max(parenDepth - 1, 0);
+    } else if (value == "{") {
+      indent++;
+      breakLine();
+    } else if ((value == ";" && parenDepth == 0) || isComment) {
+      breakLine();
+    }
+    previous = token;
+  }
+  breakLine();
+  return lines;
+}
+
+/**
+ * Decode a source map's `mappings` into an array with, for each generated
+ * line, an array of `[column, sourceIndex]` pairs in column order.
+ */
+function decodeMappings(mappings) {
+  let sourceIndex = 0;
+  return mappings.split(";").map((lineMappings) => {
+    const segments = [];
+    let column = 0;
+    for (const segment of lineMappings.split(",").filter(Boolean)) {
+      // Each segment is a list of base64 VLQ numbers, relative to the
+      // previous segment's: generated column, source index, original line,
+      // original column and name index, of which we only need the first two.
+      const fields = [];
+      let value = 0;
+      let shift = 0;
+      for (const char of segment) {
+        const digit = BASE64_DIGITS.indexOf(char);
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+          shift += 5;
+        } else {
+          fields.push(value & 1 ? -(value >> 1) : value >> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+      column += fields[0];
+      if (fields.length > 1) {
+        sourceIndex += fields[1];
+        segments.push([column, sourceIndex]);
+      }
+    }
+    return segments;
+  });
+}
+
+/**
+ * Read the source map for the JS file at the given path within a package
+ * directory, as pointed to by its `sourceMappingURL` comment (which can be a
+ * data: URL), or else at the same path plus ".map". Returns the map with its
+ * `mappings` decoded (see decodeMappings), or null if there isn't one we can
+ * use. Maps outside the package, and index maps, aren't supported.
+ */
+async function readSourceMap(packageDir, path, text) {
+  const url = [...text.matchAll(/[#@] sourceMappingURL=(\S+)/g)].at(-1)?.[1];
+  let json;
+  try {
+    if (url?.startsWith("data:")) {
+      const [, isBase64, data] = url.match(/^data:[^,]*?(;base64)?,(.*)$/);
+      json = isBase64
+        ? Buffer.from(data, "base64").toString()
+        : decodeURIComponent(data);
+    } else {
+      const mapPath = url
+        ? normalize(join(dirname(path), decodeURIComponent(url)))
+        : `${path}.map`;
+      if (mapPath.startsWith("..") || /^[a-z]+:/i.test(mapPath)) {
+        return null;
+      }
+      json = await readFile(`${packageDir}/${mapPath}`, "utf8");
+    }
+    const map = JSON.parse(json);
+    if (!map.mappings || !map.sources) {
+      return null;
+    }
+    return {
+      sources: map.sources.map((source) =>
+        map.sourceRoot
+          ? `${map.sourceRoot.replace(/\/$/, "")}/${source}`
+          : source,
+      ),
+      lines: decodeMappings(map.mappings),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the original source file a position in generated code maps to, or
+ * null if it's not mapped.
+ */
+function originalSource(sourceMap, line, column) {
+  const segment = sourceMap?.lines[line]?.findLast(
+    ([segmentColumn]) => segmentColumn <= column,
+  );
+  return segment ? sourceMap.sources[segment[1]] : null;
+}
+
+/**
+ * If the file at the given path within two extracted packages is minified
+ * JS in either one, diff pretty-printed versions of it. Returns null if it
+ * isn't, or otherwise an object like:
+ *
+ *   {
+ *     patch: "...", // unified diff of the pretty-printed files, or null if
+ *                   // they took too long to diff
+ *     originalSources: ["src/a.ts"], // original source files that the
+ *                                    // differing lines map to, according to
+ *                                    // either package's source map
+ *   }
+ */
+export async function diffMinified(
+  builtContentPath,
+  publishedContentPath,
+  path,
+) {
+  const extension = path.match(/\.[^./]+$/)?.[0].toLowerCase();
+  if (!JS_EXTENSIONS.includes(extension)) {
+    return null;
+  }
+  const builtText = await readFile(`${builtContentPath}/${path}`, "utf8");
+  const publishedText = await readFile(
+    `${publishedContentPath}/${path}`,
+    "utf8",
+  );
+  if (!isMinified(builtText) && !isMinified(publishedText)) {
+    return null;
+  }
+
+  const builtLines = prettyPrint(builtText);
+  const publishedLines = prettyPrint(publishedText);
+  const toText = (lines) => lines.map((line) => `${line.text}\n`).join("");
+  const patch = structuredPatch(
+    `built/${path}`,
+    `published/${path}`,
+    toText(builtLines),
+    toText(publishedLines),
+    undefined,
+    undefined,
+    { timeout: DIFF_TIMEOUT_MS },
+  );
+  if (!patch) {
+    return { patch: null, originalSources: [] };
+  }
+
+  const builtMap = await readSourceMap(builtContentPath, path, builtText);
+  const publishedMap = await readSourceMap(
+    publishedContentPath,
+    path,
+    publishedText,
+  );
+  const originalSources = new Set();
+  for (const hunk of patch.hunks) {
+    let builtIndex = hunk.oldStart - 1;
+    let publishedIndex = hunk.newStart - 1;
+    for (const hunkLine of hunk.lines) {
+      let source = null;
+      if (hunkLine.startsWith("-")) {
+        const { line, column } = builtLines[builtIndex++];
+        source = originalSource(builtMap, line, column);
+      } else if (hunkLine.startsWith("+")) {
+        const { line, column } = publishedLines[publishedIndex++];
+        source = originalSource(publishedMap, line, column);
+      } else if (hunkLine.startsWith(" ")) {
+        builtIndex++;
+        publishedIndex++;
+      }
+      if (source) {
+        originalSources.add(source);
+      }
+    }
+  }
+  return {
+    patch: formatPatch(patch),
+    originalSources: [...originalSources].sort(),
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Utils for working out which versions of a package to audit, given the
+ * package's packument (the JSON document the registry serves about a package)
+ * and version selectors passed on the command line.
+ *
+ * Supported selectors:
+ * - undefined: whatever the `latest` dist-tag points at
+ * - an exact version, e.g. `4.17.20`
+ * - a semver range, e.g. `>=18` or `^7.0.0`
+ * - a dist-tag, prefixed with `tag:`, e.g. `tag:next`
+ * - ALL_VERSIONS: every version the registry knows about
+ */
+
+import semver from "semver";
+
+export const ALL_VERSIONS = Symbol("all versions");
+
+/**
+ * Parse a command line argument like `lodash@4.17.20`, `react@>=18` or
+ * `@babel/core@tag:next` into a package name and a version selector. Returns
+ * null if the argument doesn't include a version selector.
+ */
+export function parsePackageSpec(arg) {
+  const match = arg.match(/^(@?[^@]+)@(.+)$/);
+  if (!match) {
+    return null;
+  }
+  // Package names are case-sensitive (there are legacy mixed-case ones like
+  // JSONStream), so are kept as given:
+  return { packageName: match[1], selector: match[2] };
+}
+
+/**
+ * Returns an array of versions from the packument matching the selector,
+ * sorted from oldest to newest (by semver precedence). Returns an empty array
+ * if nothing matches, including if the selector is not valid.
+ */
+export function resolveVersions(packument, selector) {
+  const allVersions = Object.keys(packument.versions || {}).sort(
+    semver.compare,
+  );
+  if (selector === ALL_VERSIONS) {
+    return allVersions;
+  }
+  if (selector === undefined) {
+    selector = "tag:latest";
+  }
+  if (selector.startsWith("tag:")) {
+    const taggedVersion = packument["dist-tags"]?.[selector.slice(4)];
+    return allVersions.includes(taggedVersion) ? [taggedVersion] : [];
+  }
+  if (allVersions.includes(selector)) {
+    return [selector];
+  }
+  if (!semver.validRange(selector)) {
+    return [];
+  }
+  return allVersions.filter((version) => semver.satisfies(version, selector));
+}
+
+/**
+ * Compare function for sorting audit results within a package; results with
+ * no version (i.e. failures before we got as far as picking a version) first,
+ * then the rest oldest to newest.
+ */
+export function compareResultVersions(resultA, resultB) {
+  if (!resultA.version || !resultB.version) {
+    return !resultB.version - !resultA.version;
+  }
+  return semver.compare(resultA.version, resultB.version);
+}